@@ -7,14 +7,16 @@
  * This app demonstrates two state management approaches:
  *
  * 1. LOCAL SCOPE (app.createScope):
- *    - Timer: uses app.createScope("timer") — state is private.
- *    - Todo: uses app.createScope("todo") — with child scopes for molecules.
+ *    - Timer: uses app.createScope("timer", { instance: true }) — one private
+ *      scope per instance ("timer#1", "timer#2"), so two timers run side by side.
+ *    - Todo: uses an instance scope with a stable id ("todo#main") with child scopes for molecules.
  *    → Components own their state. Other components can't accidentally modify it.
- *    → Child components access parent scope via app.getScope("scopeName").
+ *    → Child components access their parent instance via scope.parent.
  *
  * 2. GLOBAL STATE (app.setState):
  *    - Counter: reads/writes global state directly (globalState.count).
- *    - Phone Form: reads/writes global state directly (globalState.phone_*).
+ *    - Phone Form: saves contacts to global state (globalState.phone_contacts);
+ *      its fields live in an app.form("contact") scope.
  *    → State is shared across ALL components. Any component can read/write.
  *    → Simpler for small apps, but risk of key collisions in large apps.
  *
@@ -52,13 +54,14 @@ app.setState("theme", "dark");
 
 // ─────────────────────────────────────────────────────────────
 // COMPONENTS
-// Timer & Todo → LOCAL scope (private state)
+// Timer & Todo → LOCAL scope (private state, one scope per instance)
 // Counter & Phone Form → GLOBAL state (shared state)
 // ─────────────────────────────────────────────────────────────
-const renderTimer = TimerComponent(app); // Local scope: "timer"
+const renderTimer = TimerComponent(app); // Local scope: "timer#1"
+const renderLapTimer = TimerComponent(app, { label: "Lap Timer" }); // Local scope: "timer#2"
 const renderCounter = CounterComponent(app); // Global state: count
-const renderPhoneForm = PhoneFormComponent(app); // Global state: phone_*
-const renderTodo = TodoComponent(app); // Local scope: "todo", "todoInput", "todoFilter", "todoList"
+const renderPhoneForm = PhoneFormComponent(app); // Global state: phone_contacts + form "contact"
+const renderTodo = TodoComponent(app); // Local scope: "todo#main" + "todo#main/todoInput", "/todoFilter", "/todoList"
 
 // ─────────────────────────────────────────────────────────────
 // MOUNT
@@ -72,13 +75,14 @@ app.mount(
     <h1>${globalState.appName}</h1>
 
     <div class="components-grid">
-      <!-- LOCAL SCOPE: Timer manages its own state -->
+      <!-- LOCAL SCOPE: each Timer instance manages its own state -->
       ${renderTimer()}
+      ${renderLapTimer()}
 
       <!-- GLOBAL STATE: Counter reads/writes globalState.count -->
       ${renderCounter(globalState)}
 
-      <!-- GLOBAL STATE: Phone Form reads/writes globalState.phone_* -->
+      <!-- GLOBAL STATE: Phone Form reads/writes globalState.phone_contacts -->
       ${renderPhoneForm(globalState)}
 
       <!-- LOCAL SCOPE: Todo and its molecules manage their own scopes -->
@@ -88,5 +92,14 @@ app.mount(
 `
 );
 
+// ─────────────────────────────────────────────────────────────
+// DEVTOOLS
+// Open the page with ?devtools for the in-page panel (scopes, state,
+// handlers, change log). Loaded on demand — a separate chunk in dist/.
+// ─────────────────────────────────────────────────────────────
+if (new URLSearchParams(location.search).has("devtools")) {
+  import("./lib/devtools.js").then(({ createDevtools }) => createDevtools(app));
+}
+
 // Cleanup on page unload
 window.addEventListener("beforeunload", () => app.destroy());
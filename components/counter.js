@@ -46,11 +46,11 @@ export function CounterComponent(app) {
   // Be careful: another component registering "increment" would overwrite this.
 
   app.on("increment", () => {
-    app.setState("count", app.getState("count") + 1);
+    app.setState("count", (count) => count + 1);
   });
 
   app.on("decrement", () => {
-    app.setState("count", app.getState("count") - 1);
+    app.setState("count", (count) => count - 1);
   });
 
   app.on("count_reset", () => {
@@ -60,7 +60,7 @@ export function CounterComponent(app) {
   // Receives globalState from mount(), reads count directly from it.
 
   return (globalState) => {
-    return `
+    return app.htmlString`
       <div class="component counter">
         <h2>Counter <span class="badge badge-global">Global State</span></h2>
         <p class="count-display">${globalState.count}</p>
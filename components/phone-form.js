@@ -1,30 +1,38 @@
 /**
  * PhoneFormComponent
  * ──────────────────
- * STATE: GLOBAL (app.setState / app.getState)
+ * STATE: GLOBAL (app.setState / app.getState) + FORM ("contact")
  *
- * This component stores all its data in the global state with "phone_" prefixed keys.
+ * The saved contacts live in global state under a "phone_" prefixed key.
  * This is the manual namespacing approach — it works, but relies on convention
  * rather than enforcement to prevent collisions.
  *
+ * The form itself is declared with app.form("contact", schema): the fields,
+ * their validators and what happens on submit. The template only binds inputs
+ * (data-bind) and renders errors (form.errorFor).
+ *
  * Global state keys:
- *   - phone_input     (string)  : Current phone number input value.
- *   - phone_name      (string)  : Current name input value.
- *   - phone_submitted (boolean) : Whether a contact was just submitted.
- *   - phone_contacts  (array)   : List of saved contacts [{name, phone}].
- *   - phone_error     (string)  : Current validation error message.
+ *   - phone_contacts  (array)   : List of saved contacts [{name, phone}] —
+ *                                 persisted to localStorage via app.persist().
+ *
+ * Form "contact" (a scope — see lib/form.js):
+ *   - name  (string) : Required.
+ *   - phone (string) : At least 7 digits (data-bind="phone|phoneChars").
+ *   - $errors / $touched / $submitted ... : Validation bookkeeping.
+ *
+ * Handlers:
+ *   - contact:submit : Validates and saves a new contact (form submit).
+ *   - contact:touch  : Marks a field touched on blur — (e, field).
+ *   - phone_clear    : Clears all saved contacts (global).
  *
- * Global handlers:
- *   - phone_nameInput  : Handles name input changes.
- *   - phone_phoneInput : Handles phone input changes (filters non-numeric chars).
- *   - phone_submit     : Validates and saves a new contact.
- *   - phone_clear      : Clears all saved contacts.
+ * Parsers:
+ *   - phoneChars : Filters the phone input to digits, spaces, dashes, plus, parentheses.
  *
  * WHY GLOBAL STATE?
- *   This is a demo of global state. Notice the manual "phone_" prefix on every key —
+ *   This is a demo of global state. Notice the manual "phone_" prefix on the key —
  *   this is necessary to avoid collisions with other components.
  *
- *   Compare with the local scope approach (used by Timer):
+ *   Compare with the local scope approach (used by Timer, and by the form):
  *     const scope = app.createScope("phone");
  *     scope.setState("input", "");       // auto-isolated, no prefix needed
  *     scope.on("submit", fn);            // auto-namespaced as "phone:submit"
@@ -33,124 +41,112 @@
  *     // Any component can read the contacts list:
  *     const contacts = app.getState("phone_contacts");
  */
+import { validators } from "../lib/form.js";
 import phoneFormSheet from "./phone-form.css" with { type: "css" };
 
 export function PhoneFormComponent(app) {
   app.criticalStylesheet(phoneFormSheet);
   // ── Initial State (Global) ──
-  // All keys are manually prefixed with "phone_" to avoid collisions.
-  app.setState("phone_input", "");
-  app.setState("phone_name", "");
-  app.setState("phone_submitted", false);
+  // Manually prefixed with "phone_" to avoid collisions.
   app.setState("phone_contacts", []);
-  app.setState("phone_error", "");
-
-  // ── Event Handlers (Global) ──
-
-  app.on("phone_nameInput", (e) => {
-    app.setState("phone_submitted", false);
-    app.setState("phone_error", "");
-    app.setState("phone_name", e.target.value);
-  });
 
-  app.on("phone_phoneInput", (e) => {
-    // Only allow digits, spaces, dashes, plus, parentheses
-    const cleaned = e.target.value.replace(/[^\d\s\-\+\(\)]/g, "");
-    app.setState("phone_submitted", false);
-    app.setState("phone_error", "");
-    app.setState("phone_input", cleaned);
+  // Saved contacts survive a reload (localStorage)
+  app.persist({ keys: ["phone_contacts"], version: 1 });
+
+  // Only allow digits, spaces, dashes, plus, parentheses in the phone number
+  app.parser("phoneChars", (value) => value.replace(/[^\d\s\-\+\(\)]/g, ""));
+
+  // ── Form ──
+  const form = app.form("contact", {
+    fields: {
+      name: {
+        initial: "",
+        validate: validators.required("Please enter a name."),
+      },
+      phone: {
+        initial: "",
+        validate: (phone) =>
+          phone.replace(/\D/g, "").length < 7
+            ? "Please enter a valid phone number (at least 7 digits)."
+            : null,
+      },
+    },
+
+    submit({ name, phone }) {
+      // Save the contact and reset the fields
+      app.setState("phone_contacts", (contacts) => [
+        ...contacts,
+        { name: name.trim(), phone: phone.trim() },
+      ]);
+      form.reset();
+    },
   });
 
-  app.on("phone_submit", () => {
-    const name = app.getState("phone_name").trim();
-    const phone = app.getState("phone_input").trim();
-
-    // Validate name
-    if (!name) {
-      app.setState("phone_error", "Please enter a name.");
-      return;
-    }
-
-    // Validate phone: at least 7 digits
-    const digits = phone.replace(/\D/g, "");
-    if (digits.length < 7) {
-      app.setState(
-        "phone_error",
-        "Please enter a valid phone number (at least 7 digits)."
-      );
-      return;
-    }
-
-    // Save the contact and reset form
-    const contacts = [...app.getState("phone_contacts"), { name, phone }];
-    app.setState("phone_contacts", contacts);
-    app.setState("phone_name", "");
-    app.setState("phone_input", "");
-    app.setState("phone_error", "");
-    app.setState("phone_submitted", true);
-  });
+  // ── Event Handlers (Global) ──
 
   app.on("phone_clear", () => {
     app.setState("phone_contacts", []);
-    app.setState("phone_submitted", false);
   });
 
   // ── Render Function ──
-  // Receives globalState, reads phone_* keys directly.
+  // Reads the contacts from globalState and everything else from the form.
 
   return (globalState) => {
-    const name = globalState.phone_name;
-    const input = globalState.phone_input;
-    const error = globalState.phone_error;
-    const submitted = globalState.phone_submitted;
     const contacts = globalState.phone_contacts;
     const contactsList = contacts.length
-      ? `<ul class="contacts-list">
-          ${contacts
-            .map((c) => `<li><strong>${c.name}</strong>: ${c.phone}</li>`)
-            .join("")}
+      ? app.htmlString`<ul class="contacts-list">
+          ${contacts.map(
+            (c) => app.htmlString`<li><strong>${c.name}</strong>: ${c.phone}</li>`
+          )}
         </ul>`
       : "";
 
-    return `
-      <div class="component phone-form">
+    return app.htmlString`
+      <div class="component phone-form" data-scope="${form.name}">
         <h2>Contact Form <span class="badge badge-global">Global State</span></h2>
 
-        ${error ? `<p class="error">${error}</p>` : ""}
-        ${submitted ? `<p class="success">Contact added!</p>` : ""}
-
-        <div class="form-group">
-          <label>Name</label>
-          <input
-            type="text"
-            data-id="name-input"
-            value="${name}"
-            placeholder="John Doe"
-            data-on='{"input":"phone_nameInput"}'
-          />
-        </div>
-
-        <div class="form-group">
-          <label>Phone Number</label>
-          <input
-            type="tel"
-            data-id="phone-input"
-            value="${input}"
-            placeholder="+1 (555) 123-4567"
-            data-on='{"input":"phone_phoneInput"}'
-          />
-        </div>
-
-        <div class="btn-group">
-          <button class="btn btn-success" data-on='{"click":"phone_submit"}'>Submit</button>
-          ${
-            contacts.length
-              ? `<button class="btn btn-danger" data-on='{"click":"phone_clear"}'>Clear All</button>`
-              : ""
-          }
-        </div>
-
-        ${contactsList ? `<h3>Saved Contacts</h3>${contactsList}` : ""}
+        ${form.submitted() ? app.htmlString`<p class="success">Contact added!</p>` : ""}
+
+        <form data-on='{"submit.prevent":"${form.handler("submit")}"}' novalidate>
+          <div class="form-group">
+            <label>Name</label>
+            <input
+              type="text"
+              data-id="name-input"
+              data-bind="name"
+              aria-invalid="${form.invalid("name")}"
+              placeholder="John Doe"
+              data-on='{"blur":"${form.handler("touch", "name")}"}'
+            />
+            ${form.errorFor("name")}
+          </div>
+
+          <div class="form-group">
+            <label>Phone Number</label>
+            <input
+              type="tel"
+              data-id="phone-input"
+              data-bind="phone|phoneChars"
+              aria-invalid="${form.invalid("phone")}"
+              placeholder="+1 (555) 123-4567"
+              data-on='{"blur":"${form.handler("touch", "phone")}"}'
+            />
+            ${form.errorFor("phone")}
+          </div>
+
+          ${form.errorFor("__all__")}
+
+          <div class="btn-group">
+            <button type="submit" class="btn btn-success">Submit</button>
+            ${
+              contacts.length
+                ? app.htmlString`<button type="button" class="btn btn-danger" data-on='{"click":"phone_clear"}'>Clear All</button>`
+                : ""
+            }
+          </div>
+        </form>
+
+        ${contactsList ? app.htmlString`<h3>Saved Contacts</h3>${contactsList}` : ""}
 
         <p class="state-hint">
           Any component can read this: app.getState("phone_contacts").length → ${
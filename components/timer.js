@@ -1,39 +1,53 @@
 /**
  * TimerComponent
  * ──────────────
- * STATE: LOCAL SCOPE ("timer")
+ * STATE: LOCAL SCOPE ("timer#1", "timer#2", …)
  *
- * This component uses app.createScope("timer") to manage its state privately.
- * No other component can accidentally modify the timer's seconds or running status.
+ * This component uses app.createScope("timer", { instance: true }) to manage its
+ * state privately. Every TimerComponent(app) call gets its own scope, so several
+ * timers can run side by side without sharing seconds or running status.
+ *
+ * Props (scope.props):
+ *   - label (string) : Heading text. Default "Timer".
+ *   - start (number) : Initial seconds. Default 0.
  *
  * Scope state:
  *   - seconds  (number)  : Elapsed seconds since start.
  *   - running  (boolean) : Whether the timer is currently active.
  *
- * Scoped handlers (auto-namespaced as "timer:start", "timer:stop", "timer:reset"):
- *   - start : Begin counting. Uses app.safeSetInterval for memory-safe tracking.
+ * Scoped handlers (auto-namespaced as "timer#1:start", "timer#1:stop", "timer#1:reset"):
+ *   - start : Begin counting. Uses scope.setInterval — owned by the scope.
  *   - stop  : Pause counting. Clears the interval.
- *   - reset : Stop and reset seconds to 0.
+ *   - reset : Stop and reset seconds to props.start.
+ *
+ * Lifecycle:
+ *   The interval belongs to the scope (scope.setInterval), so scope.destroy()
+ *   stops it — no onDestroy hook needed, and it never ticks on a dead scope.
+ *
+ * Render boundary:
+ *   The render function is wrapped in scope.boundary(), so each tick re-renders
+ *   only the timer — the rest of the page is not touched.
  *
  * WHY LOCAL SCOPE?
  *   The timer's state (seconds, running) is purely internal — no other component
  *   needs to know how many seconds have elapsed. Local scope keeps it isolated.
  *
  *   If another component DID need the timer's value, it could still access it:
- *     const timerSeconds = app.getScope("timer").getState("seconds");
+ *     const timerSeconds = app.getScope("timer#1").getState("seconds");
  */
 import timerSheet from "./timer.css" with { type: "css" };
 
-export function TimerComponent(app) {
+export function TimerComponent(app, props = {}) {
   app.criticalStylesheet(timerSheet);
-  // Create a private scope for this component
-  const scope = app.createScope("timer");
+  // Create a private scope for this instance ("timer#1", "timer#2", …)
+  const scope = app.createScope("timer", { instance: true, props });
+  const { label = "Timer", start = 0 } = scope.props;
 
   // Track interval ID outside of state (not reactive, just a reference)
   let intervalId = null;
 
   // ── Initial State ──
-  scope.setState("seconds", 0);
+  scope.setState("seconds", start);
   scope.setState("running", false);
 
   // ── Event Handlers ──
@@ -43,29 +57,29 @@ export function TimerComponent(app) {
     if (scope.getState("running")) return;
     scope.setState("running", true);
 
-    // safeSetInterval is tracked by the app for cleanup on destroy()
-    intervalId = app.safeSetInterval(() => {
-      scope.setState("seconds", scope.getState("seconds") + 1);
+    // scope.setInterval is cleared when this scope is destroyed
+    intervalId = scope.setInterval(() => {
+      scope.setState("seconds", (seconds) => seconds + 1);
     }, 1000);
   });
 
   scope.on("stop", () => {
-    app.safeClearInterval(intervalId);
+    scope.clearInterval(intervalId);
     intervalId = null;
     scope.setState("running", false);
   });
 
   scope.on("reset", () => {
-    app.safeClearInterval(intervalId);
+    scope.clearInterval(intervalId);
     intervalId = null;
-    scope.setState("running", false);
-    scope.setState("seconds", 0);
+    scope.patchState({ running: false, seconds: start });
   });
 
   // ── Render Function ──
-  // Reads only from its own scope — no globalState needed.
+  // Reads only from its own scope — no globalState needed — so it can
+  // re-render on its own as a boundary.
 
-  return () => {
+  return scope.boundary(() => {
     const totalSeconds = scope.getState("seconds");
     const running = scope.getState("running");
 
@@ -77,17 +91,17 @@ export function TimerComponent(app) {
     );
     const secs = String(totalSeconds % 60).padStart(2, "0");
 
-    return `
-      <div class="component timer">
-        <h2>Timer <span class="badge">Local Scope</span></h2>
+    return app.htmlString`
+      <div class="component timer" data-scope="${scope.name}">
+        <h2>${label} <span class="badge">Local Scope</span></h2>
         <p class="timer-display">${hrs}:${mins}:${secs}</p>
         <div class="btn-group">
           ${
             running
-              ? `<button class="btn btn-danger" data-on='{"click":"${scope.handler(
+              ? app.htmlString`<button class="btn btn-danger" data-on='{"click":"${scope.handler(
                   "stop"
                 )}"}'>Stop</button>`
-              : `<button class="btn btn-success" data-on='{"click":"${scope.handler(
+              : app.htmlString`<button class="btn btn-success" data-on='{"click":"${scope.handler(
                   "start"
                 )}"}'>Start</button>`
           }
@@ -97,5 +111,5 @@ export function TimerComponent(app) {
         </div>
       </div>
     `;
-  };
+  });
 }
@@ -1,30 +1,48 @@
 /**
  * TodoFilter (Molecule)
  * ─────────────────────
- * STATE: LOCAL SCOPE ("todoFilter")
+ * STATE: LOCAL SCOPE ("<todo>/todoFilter", e.g. "todo#main/todoFilter")
  *
  * Handles the filter buttons (All / Active / Done) and "Clear completed" action.
  *
  * Own scope state:
  *   - current (string) : Active filter — "all", "active", or "completed".
  *
- * Reads from parent scope ("todo"):
+ * Computed (cached until todo.items changes):
+ *   - activeCount    (number) : Items not yet completed.
+ *   - completedCount (number) : Items completed.
+ *
+ * Reads from parent scope (scope.inject("todo") — the TodoComponent instance):
  *   - items (array) : Todo list (to compute counts per filter).
  *
- * Writes to parent scope ("todo"):
+ * Writes to parent scope:
  *   - items : Removes completed items on "Clear completed".
  *
- * Scoped handlers:
- *   - todoFilter:all            : Set filter to "all".
- *   - todoFilter:active         : Set filter to "active".
- *   - todoFilter:completed      : Set filter to "completed".
- *   - todoFilter:clearCompleted : Remove all completed todos.
+ * Scoped handlers (prefixed with the scope name, e.g. "todo#main/todoFilter:all"):
+ *   - all            : Set filter to "all".
+ *   - active         : Set filter to "active".
+ *   - completed      : Set filter to "completed".
+ *   - clearCompleted : Remove all completed todos.
  */
-export function TodoFilter(app) {
+export function TodoFilter(app, parent) {
   // Own scope — owns the current filter value
-  const scope = app.createScope("todoFilter");
+  const scope = parent.createChild("todoFilter");
+  const todo = scope.inject("todo");
   scope.setState("current", "all");
 
+  // ── Computed State ──
+  // Reads todo.items through getState, so both are recalculated only when
+  // the parent's items change — not on every render.
+
+  scope.computed(
+    "activeCount",
+    () => todo.getState("items").filter((i) => !i.completed).length
+  );
+  scope.computed(
+    "completedCount",
+    () => todo.getState("items").filter((i) => i.completed).length
+  );
+
   // ── Scoped Handlers ──
 
   scope.on("all", () => scope.setState("current", "all"));
@@ -32,21 +50,20 @@ export function TodoFilter(app) {
   scope.on("completed", () => scope.setState("current", "completed"));
 
   scope.on("clearCompleted", () => {
-    // Access parent scope to modify the shared items list
-    const todo = app.getScope("todo");
+    // Modify the parent's shared items list
     const items = todo.getState("items").filter((item) => !item.completed);
     todo.setState("items", items);
   });
 
   // ── Render Function ──
-  return () => {
+  return scope.boundary(() => {
     const filter = scope.getState("current");
-    const items = app.getScope("todo").getState("items");
-    const activeCount = items.filter((i) => !i.completed).length;
-    const completedCount = items.filter((i) => i.completed).length;
+    const items = todo.getState("items");
+    const activeCount = scope.getState("activeCount");
+    const completedCount = scope.getState("completedCount");
 
-    return `
-        <div class="todo-filter-bar">
+    return app.htmlString`
+        <div class="todo-filter-bar" data-scope="${scope.name}">
           <div class="todo-filters">
             <button class="btn btn-filter ${
               filter === "all" ? "active" : ""
@@ -66,12 +83,12 @@ export function TodoFilter(app) {
           </div>
           ${
             completedCount > 0
-              ? `<button class="btn btn-danger btn-small" data-on='{"click":"${scope.handler(
+              ? app.htmlString`<button class="btn btn-danger btn-small" data-on='{"click":"${scope.handler(
                   "clearCompleted"
                 )}"}'>Clear completed (${completedCount})</button>`
               : ""
           }
         </div>
       `;
-  };
+  });
 }
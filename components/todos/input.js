@@ -1,29 +1,29 @@
 /**
  * TodoInput (Molecule)
  * ────────────────────
- * STATE: LOCAL SCOPE ("todoInput")
+ * STATE: LOCAL SCOPE ("<todo>/todoInput", e.g. "todo#main/todoInput")
  *
  * Handles the text input and "Add" button for creating new todos.
  *
  * Own scope state:
- *   - text (string) : Current input value.
+ *   - text (string) : Current input value — two-way bound via data-bind="text"
+ *                     (resolved against the root's data-scope).
  *
- * Reads from parent scope ("todo"):
+ * Reads from parent scope (scope.inject("todo") — the TodoComponent instance):
  *   - items   (array)  : Current todo list (to append new items).
  *   - nextId  (number) : Next available ID for new todos.
  *
- * Writes to parent scope ("todo"):
+ * Writes to parent scope:
  *   - items   : Appends the new todo item.
  *   - nextId  : Increments after adding.
  *
  * Scoped handlers:
- *   - todoInput:input   : Updates input text on keystroke.
- *   - todoInput:keydown : Adds todo on Enter key.
- *   - todoInput:add     : Adds todo on button click.
+ *   - <todo>/todoInput:add : Adds todo on button click, or on Enter in the input
+ *                       (bound as "keydown.enter" — no e.key check needed).
  */
-export function TodoInput(app) {
-  // Own scope — private state for this molecule
-  const scope = app.createScope("todoInput");
+export function TodoInput(app, parent) {
+  // Own scope — private state for this molecule, a child of the todo scope
+  const scope = parent.createChild("todoInput");
   scope.setState("text", "");
 
   /**
@@ -35,48 +35,39 @@ export function TodoInput(app) {
     const text = scope.getState("text").trim();
     if (!text) return;
 
-    // Access the parent's scope by name — no argument passing needed
-    const todo = app.getScope("todo");
+    // The parent instance's scope — whichever todo list this input belongs to
+    const todo = scope.inject("todo");
     const id = todo.getState("nextId");
-    const items = [...todo.getState("items"), { id, text, completed: false }];
 
-    todo.setState("items", items);
-    todo.setState("nextId", id + 1);
+    todo.patchState({
+      items: (items) => [...items, { id, text, completed: false }],
+      nextId: id + 1,
+    });
     scope.setState("text", "");
   }
 
   // ── Scoped Handlers ──
-  // Registered as "todoInput:input", "todoInput:keydown", "todoInput:add"
-
-  scope.on("input", (e) => {
-    scope.setState("text", e.target.value);
-  });
-
-  scope.on("keydown", (e) => {
-    if (e.key === "Enter") addTodo();
-  });
+  // Registered as "todo#main/todoInput:add" — typing needs no handler (data-bind)
 
   scope.on("add", () => addTodo());
 
   // ── Render Function ──
-  return () => {
-    const text = scope.getState("text");
-
-    return `
-        <div class="todo-input-row">
+  // Doesn't read "text" — data-bind keeps the input and state in sync,
+  // so typing never re-renders this molecule.
+  return scope.boundary(() => {
+    return app.htmlString`
+        <div class="todo-input-row" data-scope="${scope.name}">
           <input
             type="text"
             data-id="todo-input"
-            value="${text}"
+            data-bind="text"
             placeholder="What needs to be done?"
-            data-on='{"input":"${scope.handler(
-              "input"
-            )}","keydown":"${scope.handler("keydown")}"}'
+            data-on='{"keydown.enter":"${scope.handler("add")}"}'
           />
           <button class="btn btn-success" data-on='{"click":"${scope.handler(
             "add"
           )}"}'>Add</button>
         </div>
       `;
-  };
+  });
 }
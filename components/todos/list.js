@@ -1,78 +1,83 @@
 /**
  * TodoList (Molecule)
  * ───────────────────
- * STATE: LOCAL SCOPE ("todoList")
+ * STATE: LOCAL SCOPE ("<todo>/todoList", e.g. "todo#main/todoList")
  *
  * Handles rendering the filtered todo items, toggling completion, and deleting.
  *
  * Own scope state:
  *   (none — this molecule only has handlers, no private state)
  *
- * Reads from parent scope ("todo"):
+ * Computed (cached until the parent's items or the filter's current changes):
+ *   - filtered (array) : Items matching the active filter.
+ *
+ * Reads from parent scope (scope.inject("todo") — the TodoComponent instance):
  *   - items (array) : The full todo list.
  *
- * Reads from sibling scope ("todoFilter"):
+ * Reads from sibling scope ("<todo>/todoFilter"):
  *   - current (string) : The active filter to apply.
  *
- * Writes to parent scope ("todo"):
+ * Writes to parent scope:
  *   - items : Updates on toggle (flip completed) or delete (remove item).
  *
- * Scoped handlers:
- *   - todoList:toggle : Toggle an item's completed status.
- *   - todoList:delete : Remove an item from the list.
+ * Scoped handlers (prefixed with the scope name, e.g. "todo#main/todoList:toggle"):
+ *   - toggle : Toggle an item's completed status — (e, id).
+ *   - delete : Remove an item from the list — (e, id).
  *
  * NOTE ON CROSS-SCOPE ACCESS:
  *   This molecule reads from two different scopes:
- *     - app.getScope("todo")       → parent's items
- *     - app.getScope("todoFilter") → sibling's filter
+ *     - scope.inject("todo")       → parent's items
+ *     - scope.inject("todoFilter") → sibling's filter
  *
- *   This is the power of getScope — no prop drilling, no argument passing.
- *   Any component can access any scope by name, as long as it's been created.
+ *   inject() looks up the scope tree (ancestors and their children), so
+ *   two todo lists on one page never read each other's items or filter.
  */
-export function TodoList(app) {
+export function TodoList(app, parent) {
   // Own scope — used for namespacing handlers only
-  const scope = app.createScope("todoList");
+  const scope = parent.createChild("todoList");
+  const todo = scope.inject("todo");
+  const filterScope = scope.inject("todoFilter");
+
+  // ── Computed State ──
+  // Depends on the parent's items and the sibling's filter (both tracked)
+
+  scope.computed("filtered", () => {
+    const filter = filterScope.getState("current");
+    return todo
+      .getState("items")
+      .filter((item) => {
+        if (filter === "active") return !item.completed;
+        if (filter === "completed") return item.completed;
+        return true;
+      });
+  });
 
   // ── Scoped Handlers ──
 
   /**
    * Toggle a todo item's completed status.
-   * Reads the item ID from the clicked element's data-todo-id attribute.
+   * The item ID is bound in the template: scope.handler("toggle", item.id).
    */
-  scope.on("toggle", (e) => {
-    const todo = app.getScope("todo");
-    const id = Number(e.currentTarget.getAttribute("data-todo-id"));
-    const items = todo
-      .getState("items")
-      .map((item) =>
-        item.id === id ? { ...item, completed: !item.completed } : item
-      );
-    todo.setState("items", items);
+  scope.on("toggle", (e, id) => {
+    const index = todo.getState("items").findIndex((item) => item.id === id);
+    if (index === -1) return;
+    // Path write — only this item is copied, the others keep their identity
+    todo.setState(["items", index, "completed"], (completed) => !completed);
   });
 
   /**
    * Delete a todo item.
-   * Reads the item ID from the clicked element's data-todo-id attribute.
+   * The item ID is bound in the template: scope.handler("delete", item.id).
    */
-  scope.on("delete", (e) => {
-    const todo = app.getScope("todo");
-    const id = Number(e.currentTarget.getAttribute("data-todo-id"));
-    const items = todo.getState("items").filter((item) => item.id !== id);
-    todo.setState("items", items);
+  scope.on("delete", (e, id) => {
+    todo.setState("items", (items) => items.filter((item) => item.id !== id));
   });
 
   // ── Render Function ──
-  return () => {
-    // Read from sibling scope (filter) and parent scope (items)
-    const filter = app.getScope("todoFilter").getState("current");
-    const items = app.getScope("todo").getState("items");
-
-    // Apply the active filter
-    const filtered = items.filter((item) => {
-      if (filter === "active") return !item.completed;
-      if (filter === "completed") return item.completed;
-      return true;
-    });
+  return scope.boundary(() => {
+    // Read the parent's items and the (cached) filtered view of them
+    const items = todo.getState("items");
+    const filtered = scope.getState("filtered");
 
     // Empty state
     if (filtered.length === 0) {
@@ -81,30 +86,26 @@ export function TodoList(app) {
           ? "No todos yet. Add one above!"
           : "No matching todos.";
 
-      return `<ul class="todo-list"><li class="todo-empty">${msg}</li></ul>`;
+      return app.htmlString`<ul class="todo-list" data-scope="${scope.name}"><li class="todo-empty">${msg}</li></ul>`;
     }
 
     // Render filtered items
-    const listItems = filtered
-      .map(
-        (item) => `
-          <li class="todo-item ${item.completed ? "completed" : ""}">
-            <button
-              class="todo-checkbox ${item.completed ? "checked" : ""}"
-              data-todo-id="${item.id}"
-              data-on='{"click":"${scope.handler("toggle")}"}'
-            >${item.completed ? "✓" : ""}</button>
-            <span class="todo-text">${item.text}</span>
-            <button
-              class="todo-delete"
-              data-todo-id="${item.id}"
-              data-on='{"click":"${scope.handler("delete")}"}'
-            >✕</button>
-          </li>
-        `
-      )
-      .join("");
+    const listItems = filtered.map(
+      (item) => app.htmlString`
+        <li class="todo-item ${item.completed ? "completed" : ""}" data-key="${item.id}">
+          <button
+            class="todo-checkbox ${item.completed ? "checked" : ""}"
+            data-on='{"click":"${scope.handler("toggle", item.id)}"}'
+          >${item.completed ? "✓" : ""}</button>
+          <span class="todo-text">${item.text}</span>
+          <button
+            class="todo-delete"
+            data-on='{"click":"${scope.handler("delete", item.id)}"}'
+          >✕</button>
+        </li>
+      `
+    );
 
-    return `<ul class="todo-list">${listItems}</ul>`;
-  };
+    return app.htmlString`<ul class="todo-list" data-scope="${scope.name}">${listItems}</ul>`;
+  });
 }
@@ -1,35 +1,58 @@
 /**
  * TodoComponent (Parent)
  * ──────────────────────
- * STATE: LOCAL SCOPE ("todo")
+ * STATE: LOCAL SCOPE ("todo#main", or "todo#<props.id>")
  *
  * This is the parent component that composes three molecules:
  *   - TodoInput  → handles text input and adding new todos.
  *   - TodoFilter → handles filtering (all/active/completed).
  *   - TodoList   → handles rendering, toggling, and deleting items.
  *
- * SCOPE HIERARCHY:
- *   app.createScope("todo")        ← Parent: owns items[] and nextId
- *   app.createScope("todoInput")   ← Child: owns input text
- *   app.createScope("todoFilter")  ← Child: owns current filter
- *   app.createScope("todoList")    ← Child: owns toggle/delete handlers
+ * Props (scope.props):
+ *   - title (string) : Heading text. Default "Todos".
+ *   - id    (string) : Stable instance id ("todo#<id>") — keeps the saved todos
+ *                      of each list apart however many lists the page renders.
+ *                      Default "main". Give every other list its own id.
+ *
+ * SCOPE HIERARCHY (one per TodoComponent instance):
+ *   app.createScope("todo", { instance })          ← "todo#main": owns items[] and nextId
+ *   todo.createChild("todoInput")                  ← "todo#main/todoInput": owns input text
+ *   todo.createChild("todoFilter")                 ← "todo#main/todoFilter": owns current filter
+ *   todo.createChild("todoList")                   ← "todo#main/todoList": toggle/delete handlers
+ *
+ *   scope.destroy() on the parent destroys the three children with it.
  *
  * HOW MOLECULES COMMUNICATE:
- *   Children access the parent's state via app.getScope("todo"):
+ *   Each molecule looks up its relatives by name in the scope tree:
  *
  *     // Inside TodoInput:
- *     const todo = app.getScope("todo");
+ *     const todo = scope.inject("todo");
  *     const items = todo.getState("items");   // read parent's items
  *     todo.setState("items", newItems);        // write to parent's items
  *
  *     // Inside TodoList, reading a sibling's state:
- *     const filter = app.getScope("todoFilter").getState("current");
+ *     const filter = scope.inject("todoFilter").getState("current");
+ *
+ * PERSISTENCE:
+ *   items and nextId are saved to localStorage ("act:scope:todo#main"). Todos
+ *   saved by earlier versions under "act:scope:todo" are moved over on load,
+ *   and a server bootstrap entry for "todo" still seeds the main list.
+ *
+ * UNDO / REDO:
+ *   Changes to items (add, toggle, delete, clear completed) are recorded by
+ *   scope.history() — each handler's writes are one entry, reverted by the
+ *   Undo button (todo#main:undo) and re-applied by Redo (todo#main:redo).
+ *
+ * RENDER BOUNDARIES:
+ *   The parent and each molecule render through scope.boundary(), so typing in
+ *   the input re-renders only TodoInput, and changing items re-renders only the
+ *   molecules that read them — never the rest of the page.
  *
  * WHY LOCAL SCOPE?
  *   The todo's state (items, filter, input text) is component-specific.
  *   Using scopes means:
  *   - No risk of key collisions with counter, timer, or phone form.
- *   - Each molecule's handlers are auto-namespaced (e.g., "todoInput:add").
+ *   - Each molecule's handlers are auto-namespaced (e.g., "todo#main/todoInput:add").
  *   - Cleanup is automatic — scope.destroy() removes all handlers and state.
  */
 import { TodoInput } from "./input.js";
@@ -37,30 +60,57 @@ import { TodoFilter } from "./filter.js";
 import { TodoList } from "./list.js";
 import todoSheet from "./todo.css" with { type: "css" };
 
-export function TodoComponent(app) {
+export function TodoComponent(app, props = {}) {
   app.criticalStylesheet(todoSheet);
 
-  // Create the parent scope — owns the shared todo data
-  const scope = app.createScope("todo");
+  // Create the parent scope for this instance — owns the shared todo data
+  // A stable id (not creation order) — the persisted todos are found again
+  // however often the component is created, e.g. each time a route is entered
+  const scope = app.createScope("todo", { instance: props.id ?? "main", props });
+  const { title = "Todos" } = scope.props;
 
   // ── Initial State ──
   scope.setState("items", []); // Array of { id, text, completed }
   scope.setState("nextId", 1); // Auto-incrementing ID for new todos
 
+  // ── Persistence ──
+  // Restores saved todos from localStorage (replacing the defaults above)
+  // and saves every change — todos survive a reload.
+  scope.persist({
+    keys: ["items", "nextId"],
+    version: 1,
+    legacyKeys: props.id ? [] : ["act:scope:todo"], // saved before lists had ids
+  });
+
+  // ── History ──
+  // Started after restoring, so the saved todos aren't an undoable change.
+  scope.history({ keys: ["items"], limit: 50 });
+
+  // ── Scoped Handlers ──
+  scope.on("undo", () => scope.undo());
+  scope.on("redo", () => scope.redo());
+
   // ── Initialize Molecules ──
-  // Each molecule only needs the app instance.
-  // They grab the parent scope internally via app.getScope("todo").
-  const renderInput = TodoInput(app);
-  const renderFilter = TodoFilter(app);
-  const renderList = TodoList(app);
+  // Each molecule gets the app and this instance's scope — their scopes are
+  // named after it ("todo#main/todoInput"), and they find it via scope.inject("todo").
+  // TodoFilter comes before TodoList, which injects the filter scope.
+  const renderInput = TodoInput(app, scope);
+  const renderFilter = TodoFilter(app, scope);
+  const renderList = TodoList(app, scope);
 
   // ── Render Function ──
-  return () => `
-    <div class="component todo">
-      <h2>Todos <span class="badge">Local Scope</span></h2>
+  return scope.boundary(() => app.htmlString`
+    <div class="component todo" data-scope="${scope.name}">
+      <h2>${title} <span class="badge">Local Scope</span></h2>
+      <div class="todo-history">
+        <button class="btn btn-filter" data-on='{"click":"${scope.handler("undo")}"}'
+          ${scope.canUndo() ? "" : "disabled"}>↶ Undo</button>
+        <button class="btn btn-filter" data-on='{"click":"${scope.handler("redo")}"}'
+          ${scope.canRedo() ? "" : "disabled"}>↷ Redo</button>
+      </div>
       ${renderInput()}
       ${renderFilter()}
       ${renderList()}
     </div>
-  `;
+  `);
 }
@@ -1,4 +1,14 @@
-import { reconcileChildren } from './diff.js';
+import { reconcileChildren, patch } from './diff.js';
+import { htmlString, raw, escapeHTML, renderValue } from './html.js';
+import { parseDataOn, matchesKeys, handlerRef, decodeHandlerArgs, needsCapture } from './events.js';
+import { parseBindAttr, bindEventType, readBoundValue, writeBoundValue } from './bind.js';
+import { createForm } from './form.js';
+import { createPersistence } from './persist.js';
+import { createHistory } from './history.js';
+import { safeTimersPlugin, criticalCSSPlugin } from './plugins.js';
+import { toPath, getIn, resolveUpdate, resolveDelete } from './path.js';
+import { createResourceCache, createResource } from './resource.js';
+import { warn } from './warn.js';
 
 /**
  * act.js
@@ -16,6 +26,11 @@ import { reconcileChildren } from './diff.js';
  *    - Other components can access it via app.getScope("name") if they know the name.
  *    - Event handlers are auto-namespaced to prevent collisions.
  *    - Use for: component-specific data that doesn't need to be global.
+ *    - Reusable components create one scope per instance:
+ *      app.createScope("timer", { instance: true, props }) → "timer#1", "timer#2";
+ *      child scopes (scope.createChild("todoInput")) are named after their
+ *      parent ("todo#main/todoInput"), find relatives with scope.inject("todo")
+ *      and are destroyed together with their parent.
  *
  * EXAMPLE:
  * --------
@@ -30,24 +45,158 @@ import { reconcileChildren } from './diff.js';
  *   const timerScope = app.getScope("timer");
  *   timerScope.getState("seconds"); // → 0
  *
+ * UPDATERS & PATHS:
+ * -----------------
+ *   scope.setState("seconds", (s) => s + 1)           — updater
+ *   app.setState("user.address.city", "Kochi")        — nested path
+ *   scope.setState(["items", 2, "completed"], true)   — array path
+ *   app.patchState({ theme: "light", count: 0 })      — several keys
+ * Path writes copy only the objects along the path — see lib/path.js.
+ *
+ * COMPUTED STATE:
+ * ---------------
+ * scope.computed("activeCount", () => ...) derives a value from other state.
+ * Every getState()/getGlobal() read during the last run is recorded as a
+ * dependency (across scopes too); the cached value is recomputed only after
+ * one of those keys changes.
+ *
+ * WATCHERS:
+ * ---------
+ * React to state changes outside of rendering (analytics, syncing, side effects):
+ *   scope.watch(key, (next, prev) => ...)  — one scope key
+ *   app.watch(key, (next, prev) => ...)    — one global key
+ *   app.subscribe(({ scope, key, prev, next }) => ...) — every change
+ * Each returns an unsubscribe function; scope.destroy() / app.destroy()
+ * remove whatever is still registered.
+ *
+ * RENDER BOUNDARIES:
+ * ------------------
+ * Wrapping a component's render function in scope.boundary(fn) lets it
+ * re-render on its own: when only state it read changes, just that function
+ * runs and just its root element (data-scope="<scope name>") is patched.
+ * Global state changes, and state read outside any boundary, still re-render
+ * the whole app.
+ *
+ * FORMS:
+ * ------
+ * app.form(name, { fields, submit }) builds a form on a scope of that name:
+ * field values, touched/dirty/pending flags, sync and async validators,
+ * submit handling and Django error mapping — see lib/form.js.
+ *
+ * PERSISTENCE:
+ * ------------
+ * scope.persist({ keys, version, migrate, storage }) and app.persist({ keys, ... })
+ * restore keys from localStorage (or any Storage) and save changes, debounced
+ * — see lib/persist.js.
+ *
+ * DATA LOADING:
+ * -------------
+ * scope.resource(key, fetcher, { deps }) keeps { data, error, loading } in a
+ * state key, reloads when state read by deps() changes, aborts stale
+ * requests, dedupes and caches them, and aborts on destroy — see
+ * lib/resource.js. createApp(el, { fetch }) swaps the fetch it uses.
+ *
+ * UNDO / REDO:
+ * ------------
+ * scope.history({ limit, keys }) records the scope's state changes, one entry
+ * per handler (per tick); scope.undo(), scope.redo(), scope.canUndo() and
+ * scope.canRedo() use it — see lib/history.js.
+ *
+ * LIFECYCLE HOOKS:
+ * ----------------
+ * A component marks its root element with data-scope="<scope name>":
+ *   scope.onMount(fn)   — root element appeared in the DOM (receives it)
+ *   scope.onUpdate(fn)  — re-rendered after the scope's state changed
+ *   scope.onDestroy(fn) — scope.destroy() / app.destroy()
+ *
  * RENDERING:
  * ----------
  * Uses tagged template literals (app.html`...`) to create DOM nodes.
- * Event handlers are bound via data-on attributes in templates.
+ * Interpolated values are HTML-escaped unless marked safe (app.raw / nested templates).
+ * Event handlers are bound via data-on attributes in templates, with optional
+ * modifiers (click.prevent, keydown.enter, input.debounce.300 — see lib/events.js).
+ * Events are delegated: one listener per event type on the container.
+ * Form elements with data-bind="key" (or "scope.key", "key|number") stay in
+ * sync with state both ways — see lib/bind.js.
  * Minimal DOM patching on state change via lib/diff.js.
  *
+ * DEBUGGING:
+ * ----------
+ * app.inspect() snapshots global state, every scope and the handler registry;
+ * app.subscribe() reports each change with the handler it came from. The
+ * ?devtools panel (lib/devtools.js) is built on both.
+ *
+ * ERRORS:
+ * -------
+ * Errors thrown by render functions, handlers, safe timers, lifecycle hooks
+ * and watchers are caught and passed to app.onError((err, context) => ...)
+ * with the scope name attached. A scope.boundary() render that throws shows
+ * a fallback for that component only; the rest of the app keeps working.
+ *
+ * PLUGINS:
+ * --------
+ * app.use(plugin) hooks into scope creation, state writes (veto/transform),
+ * handler dispatch, rendering, mounting and destroy, and can add methods to
+ * the app and to scopes. Safe timers and critical CSS are built-in plugins —
+ * see lib/plugins.js.
+ *
+ * SERVER-SIDE RENDERING:
+ * -----------------------
+ * app.renderToString(renderFn, initialState) runs the same components in plain
+ * Node (no DOM) and returns an HTML string — see lib/server.js.
+ * app.hydrate(renderFn) then attaches to that markup in the browser without
+ * re-rendering it: only data-on handlers are bound.
+ *
+ * INITIAL STATE:
+ * --------------
+ * createApp reads <script type="application/json" id="act-state"> (rendered by
+ * Django or app.serializeState()) and seeds global state and named scopes
+ * from it before any component runs:
+ *   {"global": {...}, "scopes": {"todo": {"items": [...]}}}
+ *
  * MEMORY SAFETY:
  * --------------
- * - Event listeners are tracked and cleaned up before each re-render.
+ * - Event listeners are delegated to the container (one per event type), so
+ *   re-renders never add or remove listeners; destroy() removes them.
  * - Intervals/timeouts are tracked via safeSetInterval/safeSetTimeout.
- * - app.destroy() cleans up everything (listeners, timers, scopes, state, DOM).
+ * - scope.setInterval/setTimeout/listen/own tie timers, window/document
+ *   listeners and other resources to a scope — released by scope.destroy().
+ * - app.destroy() cleans up everything (listeners, timers, watchers, scopes, state, DOM).
  */
-function createApp(container) {
+function createApp(container = null, options = {}) {
+  /**
+   * Dev mode enables extra (slower) checks, e.g. hydration mismatch warnings.
+   * createApp(el, { dev: true })
+   */
+  const dev = Boolean(options.dev);
+
+  /**
+   * Request cache of scope.resource() — see lib/resource.js. Fetchers get
+   * options.fetch (e.g. a fake in tests) or the global fetch.
+   * createApp(el, { fetch: fakeFetch })
+   */
+  const resources = createResourceCache(
+    options.fetch ?? ((input, init) => globalThis.fetch(input, init))
+  );
+
+  /**
+   * Server-provided initial state: { global: {...}, scopes: { name: {...} } }.
+   * options.bootstrap is either the payload itself or the id of a
+   * <script type="application/json"> element holding it (default "act-state").
+   */
+  const bootstrap = readBootstrap(options.bootstrap ?? "act-state");
+
   /**
    * Global state object.
    * Accessible by all components via app.setState() and app.getState().
    */
-  let globalState = {};
+  let globalState = { ...bootstrap.global };
+
+  /**
+   * Global keys seeded from the bootstrap payload whose first plain write
+   * before mount()/hydrate() is still to be skipped (see keepSeed).
+   */
+  const seededGlobalKeys = new Set(Object.keys(globalState));
 
   /**
    * Registry of all local scopes.
@@ -62,117 +211,595 @@ function createApp(container) {
   /** Flag to prevent re-renders before mount() is called. */
   let mounted = false;
 
-  /** Tracks active event listeners for cleanup on re-render. */
-  let activeListeners = [];
+  /**
+   * Delegated listeners on the container — one per event type, plus a separate
+   * passive one for .passive bindings. Key: "click" or "scroll.passive".
+   */
+  const delegatedListeners = new Map();
+
+  /** Per-element state of .once / .debounce / .throttle bindings, by data-on key. */
+  const bindingState = new WeakMap();
 
-  /** Tracks active setInterval IDs for cleanup on destroy. */
-  const intervals = new Set();
+  /** Hooks of installed plugins, in app.use() order (see PLUGINS). */
+  const plugins = [];
 
-  /** Tracks active setTimeout IDs for cleanup on destroy. */
-  const timeouts = new Set();
+  /**
+   * Per-scope internals that rerender()/destroy() drive but components never see.
+   * Key: scope name, Value: { afterRender(), inspect() }.
+   */
+  const scopeInternals = {};
 
   /** Batches multiple setState calls into a single re-render per microtask. */
   let rerenderScheduled = false;
 
-  /** CSS strings registered via criticalCSS() — converted to sheets at mount time. */
-  const criticalCSSStrings = [];
+  /**
+   * Whether the next flush must re-run the top-level render function
+   * (global state, or state read outside any boundary, changed). When false,
+   * only the boundaries in dirtyBoundaries re-render.
+   */
+  let needsFullRender = true;
 
-  /** CSSStyleSheet objects registered via criticalStylesheet(). */
-  const criticalSheets = [];
+  /** Render boundaries (scope.boundary) whose tracked state changed since they rendered. */
+  const dirtyBoundaries = new Set();
+
+  /** Dependencies of the top-level render function, outside any boundary. */
+  const rootRecord = {
+    deps: new Set(),
+    invalidate() {
+      needsFullRender = true;
+    },
+  };
 
-  /** Sheets created from criticalCSSStrings at mount time — tracked for destroy() cleanup. */
-  let mountedStringSheets = [];
+  /** True while renderToString() runs — app.html then returns markup instead of DOM. */
+  let renderingToString = false;
 
   function scheduleRerender() {
     if (!rerenderScheduled) {
       rerenderScheduled = true;
       queueMicrotask(() => {
         rerenderScheduled = false;
-        rerender();
+        flushRender();
       });
     }
   }
 
   // =========================================================================
-  // CRITICAL CSS
+  // GLOBAL STATE
   // =========================================================================
 
   /**
-   * Register a CSS string as critical. Applied via document.adoptedStyleSheets at mount().
-   * Use this when your CSS lives in a .css.js file or a template literal.
+   * Set a global state value. Triggers re-render if app is mounted.
+   * A function value is an updater: (prev) => next. A path ("user.address.city"
+   * or ["items", 2, "completed"]) writes a nested value, copying only the
+   * objects along it (see lib/path.js).
+   * @param {string|Array} path - State key or path.
+   * @param {*|Function} value - State value, or (prev) => next.
    *
-   * @param {string} css - CSS string to apply at mount time.
+   * @example
+   *   app.setState("theme", "dark");
+   *   app.setState("user", { name: "Vaisakh", role: "admin" });
+   *   app.setState("count", (n) => n + 1);
+   *   app.setState("user.address.city", "Kochi");
+   */
+  function setState(path, value) {
+    if (keepSeed(seededGlobalKeys, path, value)) return;
+    const update = resolveUpdate(globalState, path, value);
+    const key = update.key;
+    value = update.value;
+    const prev = globalState[key];
+    const change = interceptWrite(null, key, prev, value);
+    if (!change) return; // vetoed by a plugin
+    value = change.next;
+    globalState[key] = value;
+    stateChanged(null, key, prev, value);
+    if (mounted) {
+      // Render functions receive the whole globalState object, so a global
+      // write can't be narrowed down to the boundaries that use it.
+      needsFullRender = true;
+      scheduleRerender();
+    }
+  }
+
+  /**
+   * Get a global state value.
+   * @param {string|Array} path - State key or path.
+   * @returns {*} The stored value, or undefined if not set.
    *
    * @example
-   *   import layoutCSS from "./app.css.js";
-   *   app.criticalCSS(layoutCSS);
+   *   const theme = app.getState("theme"); // → "dark"
+   *   app.getState("user.address.city");   // → "Kochi"
    */
-  function criticalCSS(css) {
-    criticalCSSStrings.push(css.trim());
+  function getState(path) {
+    const [key, ...rest] = toPath(path);
+    track(null, key);
+    return rest.length ? getIn(globalState[key], rest) : globalState[key];
   }
 
   /**
-   * Register a CSSStyleSheet as critical. Applied via document.adoptedStyleSheets at mount().
-   * Use this with native CSS Module Script imports (`import sheet from "./x.css" with { type: "css" }`).
+   * Delete a global state key, or a nested key/array item by path.
+   * @param {string|Array} path - State key or path to remove.
+   */
+  function deleteState(path) {
+    const { key, nested, value } = resolveDelete(globalState, path);
+    if (nested) return setState(key, () => value);
+    seededGlobalKeys.delete(key);
+    const prev = globalState[key];
+    if (!interceptWrite(null, key, prev, undefined, true)) return;
+    delete globalState[key];
+    stateChanged(null, key, prev, undefined);
+    if (mounted) {
+      needsFullRender = true; // as in setState()
+      scheduleRerender();
+    }
+  }
+
+  /**
+   * Set several global keys (or paths) at once — they render together.
+   * @param {Object} values - key or path → value (or updater).
    *
-   * @param {CSSStyleSheet} sheet - CSSStyleSheet object to apply at mount time.
+   * @example
+   *   app.patchState({ theme: "light", "user.name": "Asha", count: (n) => n + 1 });
+   */
+  function patchState(values) {
+    for (const [path, value] of Object.entries(values)) setState(path, value);
+  }
+
+  /**
+   * Whether a write should leave a key seeded from the bootstrap payload
+   * alone. Only the first plain write to it before mount()/hydrate() is
+   * skipped — a component default like setState("items", []) — so server data
+   * survives; updaters, paths and every later write go through.
+   * @param {Set} seeded - Seeded keys not written yet (the key is removed).
+   * @param {string|Array} path - Path passed to setState.
+   * @param {*|Function} value - Value passed to setState.
+   * @returns {boolean} True if the write must be dropped.
+   */
+  function keepSeed(seeded, path, value) {
+    const key = toPath(path)[0];
+    if (!seeded.has(key)) return false;
+    seeded.delete(key);
+    return !mounted && typeof value !== "function" && toPath(path).length === 1;
+  }
+
+  // =========================================================================
+  // DEPENDENCY TRACKING
+  // =========================================================================
+
+  /**
+   * The record currently collecting dependencies (a computed value being
+   * evaluated, a render boundary or the top-level render), or null.
+   * Records look like { deps: Set, invalidate() }.
+   */
+  let activeTracker = null;
+
+  /** Reverse index — dependency key → Set of records that read it. */
+  const dependents = new Map();
+
+  /** Dependency key for a state key; scopeName is null for global state. */
+  function depKey(scopeName, key) {
+    return scopeName === null ? `global:${key}` : `scope:${scopeName}:${key}`;
+  }
+
+  /** Record a state read against the active tracker, if any. */
+  function track(scopeName, key) {
+    if (activeTracker) activeTracker.deps.add(depKey(scopeName, key));
+  }
+
+  /** Dependency key standing for "any key of this scope" (read via scope.all()). */
+  function scopeDepKey(scopeName) {
+    return `scope:${scopeName}`;
+  }
+
+  /** Detach a record from everything it depended on. */
+  function untrack(record) {
+    for (const dep of record.deps) {
+      const set = dependents.get(dep);
+      if (!set) continue;
+      set.delete(record);
+      if (set.size === 0) dependents.delete(dep);
+    }
+    record.deps.clear();
+  }
+
+  /**
+   * Run fn with `record` collecting every state read as a dependency.
+   * Dependencies from the previous run are dropped first.
+   * @returns {*} fn's return value.
+   */
+  function runTracked(record, fn) {
+    untrack(record);
+    const previous = activeTracker;
+    activeTracker = record;
+    try {
+      return fn();
+    } finally {
+      activeTracker = previous;
+      for (const dep of record.deps) {
+        if (!dependents.has(dep)) dependents.set(dep, new Set());
+        dependents.get(dep).add(record);
+      }
+    }
+  }
+
+  /** A state key changed — invalidate every record that read it. */
+  function invalidateKey(scopeName, key) {
+    invalidateDep(depKey(scopeName, key));
+    if (scopeName !== null) invalidateDep(scopeDepKey(scopeName));
+  }
+
+  /** Invalidate every record that depends on a dependency key. */
+  function invalidateDep(dep) {
+    const set = dependents.get(dep);
+    if (!set) return;
+    for (const record of [...set]) record.invalidate();
+  }
+
+  // =========================================================================
+  // WATCHERS & SUBSCRIPTIONS
+  // =========================================================================
+
+  /** Per-key watchers — dependency key → Set of (next, prev) callbacks. */
+  const watchers = new Map();
+
+  /** Wildcard subscribers — called with { scope, key, prev, next, origin }. */
+  const subscribers = new Set();
+
+  /**
+   * Name of the data-on handler currently running, or null — reported to
+   * subscribers as the origin of the writes it makes (synchronous part only).
+   */
+  let currentHandler = null;
+
+  /**
+   * Every state write ends here: invalidate computeds that read the key,
+   * then notify watchers and subscribers if the value actually changed.
+   * scopeName is null for global state.
+   */
+  function stateChanged(scopeName, key, prev, next) {
+    invalidateKey(scopeName, key);
+    if (Object.is(prev, next)) return;
+
+    const context = { source: "watcher", scope: scopeName, key };
+    const keyWatchers = watchers.get(depKey(scopeName, key));
+    if (keyWatchers) {
+      for (const fn of [...keyWatchers]) guard(fn, context, next, prev);
+    }
+    for (const fn of [...subscribers]) {
+      guard(fn, context, { scope: scopeName, key, prev, next, origin: currentHandler });
+    }
+  }
+
+  /** Register a watcher for a dependency key; returns its unsubscribe function. */
+  function addWatcher(dep, fn) {
+    if (!watchers.has(dep)) watchers.set(dep, new Set());
+    watchers.get(dep).add(fn);
+    return () => {
+      const set = watchers.get(dep);
+      if (!set) return;
+      set.delete(fn);
+      if (set.size === 0) watchers.delete(dep);
+    };
+  }
+
+  /**
+   * Watch a global state key. Called after each change with the new and old value.
+   * @param {string} key - Global state key.
+   * @param {Function} fn - (next, prev) => void.
+   * @returns {Function} Unsubscribe function.
    *
    * @example
-   *   import timerSheet from "./timer.css" with { type: "css" };
-   *   app.criticalStylesheet(timerSheet);
+   *   const stop = app.watch("theme", (next) => document.body.dataset.theme = next);
    */
-  function criticalStylesheet(sheet) {
-    if (sheet) criticalSheets.push(sheet); // null guard: no-op in built output
+  function watch(key, fn) {
+    return addWatcher(depKey(null, key), fn);
+  }
+
+  /**
+   * Subscribe to every state change — global and all scopes.
+   * scope is the scope name, or null for global state; origin is the data-on
+   * handler that made the change (e.g. "todoList:toggle"), or null.
+   * @param {Function} fn - ({ scope, key, prev, next, origin }) => void.
+   * @returns {Function} Unsubscribe function.
+   *
+   * @example
+   *   app.subscribe(({ scope, key, next }) => analytics.track("state", { scope, key, next }));
+   */
+  function subscribe(fn) {
+    subscribers.add(fn);
+    return () => subscribers.delete(fn);
   }
 
   // =========================================================================
-  // GLOBAL STATE
+  // ERROR HANDLING
   // =========================================================================
 
+  /** Listeners registered via onError(). */
+  const errorListeners = new Set();
+
   /**
-   * Set a global state value. Triggers re-render if app is mounted.
-   * @param {string} key - State key.
-   * @param {*} value - State value.
+   * Register an error listener. Errors thrown by render functions, handlers
+   * (including rejected async handlers), safe timers, lifecycle hooks and
+   * watchers are caught and passed here instead of breaking the app.
+   * Without listeners they are logged with console.error.
+   * @param {Function} fn - (error, context) => void. context:
+   *   { source: "render" | "handler" | "timer" | "lifecycle" | "watcher" | "validator" | "plugin" | ...,
+   *     scope: scope name or null, handler?, hook?, key?, field?, plugin? }
+   * @returns {Function} Unregister function.
    *
    * @example
-   *   app.setState("theme", "dark");
-   *   app.setState("user", { name: "Vaisakh", role: "admin" });
+   *   app.onError((err, { source, scope }) => {
+   *     fetch("/api/errors/", { method: "POST", body: JSON.stringify({ message: err.message, source, scope }) });
+   *   });
    */
-  function setState(key, value) {
-    globalState[key] = value;
-    if (mounted) scheduleRerender();
+  function onError(fn) {
+    errorListeners.add(fn);
+    return () => errorListeners.delete(fn);
   }
 
   /**
-   * Get a global state value.
-   * @param {string} key - State key.
-   * @returns {*} The stored value, or undefined if not set.
+   * Report an error to the onError listeners — for errors the app can't catch
+   * itself, e.g. in your own promise chains.
+   * @param {*} error - The error.
+   * @param {Object} [context] - { source, scope, ... } (see onError).
    *
    * @example
-   *   const theme = app.getState("theme"); // → "dark"
+   *   loadContacts().catch((err) => app.reportError(err, { source: "fetch", scope: "contact" }));
+   */
+  function reportError(error, context = {}) {
+    const fullContext = { source: "app", scope: null, ...context };
+    if (errorListeners.size === 0) {
+      const where = fullContext.scope ? ` (scope "${fullContext.scope}")` : "";
+      console.error(`[act.js] Error in ${fullContext.source}${where}:`, error);
+      return;
+    }
+    for (const fn of [...errorListeners]) {
+      try {
+        fn(error, fullContext);
+      } catch (listenerError) {
+        console.error("[act.js] onError listener threw:", listenerError);
+      }
+    }
+  }
+
+  /** Call fn(...args), reporting (not throwing) what it throws. */
+  function guard(fn, context, ...args) {
+    try {
+      return fn(...args);
+    } catch (err) {
+      reportError(err, context);
+      return undefined;
+    }
+  }
+
+  /** The scope a handler name belongs to ("todoList:toggle" → "todoList"), or null. */
+  function handlerScope(name) {
+    const i = name.indexOf(":");
+    return i > 0 && scopes[name.slice(0, i)] ? name.slice(0, i) : null;
+  }
+
+  // =========================================================================
+  // PLUGINS
+  // =========================================================================
+
+  /**
+   * Install a plugin: (app, options) => hooks. Hooks (all optional — see
+   * lib/plugins.js for the full list and the built-in plugins):
+   *   app: { name: fn }        — methods added to the app
+   *   scope(scope) → { ... }   — methods added to every scope (existing ones too)
+   *   write(change)            — before each state write; false vetoes it,
+   *                              assigning change.next transforms it
+   *   handler(ctx, next)       — around data-on handlers (middleware)
+   *   beforeRender(info) / afterRender(info) — info: { full, scopes }
+   *   mount(info) / renderToString(html) / destroy()
+   * Installing the same plugin twice is a no-op.
+   *
+   * @param {Function} plugin - (app, options) => hooks.
+   * @param {Object} [options] - Passed to the plugin.
+   * @returns {Object} The app (for chaining).
+   *
+   * @example
+   *   app.use((app) => ({
+   *     write(change) {
+   *       if (change.key === "role" && change.origin !== "admin:save") return false;
+   *     },
+   *     handler(ctx, next) {
+   *       console.time(ctx.name);
+   *       next();
+   *       console.timeEnd(ctx.name);
+   *     },
+   *   }));
    */
-  function getState(key) {
-    return globalState[key];
+  function use(plugin, options = {}) {
+    if (plugins.some((hooks) => hooks.plugin === plugin)) return app;
+
+    const hooks = { ...plugin(app, options), plugin };
+    plugins.push(hooks);
+
+    addMethods(app, hooks.app, "app");
+    if (hooks.scope) {
+      for (const scope of Object.values(scopes)) addMethods(scope, hooks.scope(scope), "scope");
+    }
+    return app;
+  }
+
+  /** Add a plugin's methods to the app or a scope — existing names are kept. */
+  function addMethods(target, methods, label) {
+    if (!methods) return;
+    for (const [name, fn] of Object.entries(methods)) {
+      if (name in target) {
+        warn(`[act.js] Plugin method "${name}" already exists on the ${label} — skipped.`);
+        continue;
+      }
+      target[name] = fn;
+    }
   }
 
   /**
-   * Delete a global state key.
-   * @param {string} key - State key to remove.
+   * Call a hook on every plugin that has it, in installation order. A hook
+   * that throws is reported (with the plugin's name) and the others still run.
    */
-  function deleteState(key) {
-    delete globalState[key];
+  function runHooks(name, ...args) {
+    for (const hooks of plugins) {
+      if (!hooks[name]) continue;
+      const plugin = hooks.plugin.name || "anonymous";
+      guard(hooks[name], { source: "plugin", scope: null, plugin, hook: name }, ...args);
+    }
+  }
+
+  /**
+   * Run the write hooks for a state write. Returns the (possibly transformed)
+   * change, or null if a plugin vetoed it.
+   */
+  function interceptWrite(scopeName, key, prev, next, deleting = false) {
+    const change = { scope: scopeName, key, prev, next, origin: currentHandler, deleting };
+    for (const hooks of plugins) {
+      if (hooks.write && hooks.write(change) === false) return null;
+    }
+    return change;
+  }
+
+  /**
+   * Run a data-on handler through the plugins' handler middleware. The
+   * handler's synchronous writes are reported with it as their origin;
+   * what it throws (or rejects with) goes to onError.
+   */
+  function dispatchHandler(name, fn, event, args, element) {
+    const chain = plugins.filter((hooks) => hooks.handler);
+    const ctx = { name, event, args, element };
+    let index = 0;
+    const next = () => {
+      const hooks = chain[index++];
+      return hooks ? hooks.handler(ctx, next) : fn(event, ...ctx.args);
+    };
+
+    const context = { source: "handler", scope: handlerScope(name), handler: name };
+    const outer = currentHandler;
+    currentHandler = name;
+    try {
+      const result = next();
+      // Async handlers: report the rejection instead of leaving it unhandled
+      if (result && typeof result.then === "function") {
+        result.then(undefined, (err) => reportError(err, context));
+      }
+      return result;
+    } catch (err) {
+      reportError(err, context);
+      return undefined;
+    } finally {
+      currentHandler = outer;
+    }
+  }
+
+  // =========================================================================
+  // INITIAL STATE
+  // =========================================================================
+
+  /**
+   * Load the bootstrap payload from an object or a JSON <script> element id.
+   * Missing or invalid payloads yield empty state (with a warning if invalid).
+   */
+  function readBootstrap(source) {
+    if (source && typeof source === "object") return source;
+    if (typeof document === "undefined") return {};
+
+    const el = document.getElementById(source);
+    if (!el) return {};
+    try {
+      return JSON.parse(el.textContent) || {};
+    } catch (err) {
+      warn(
+        `[act.js] Could not parse initial state from #${source}: ${err.message}`
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Serialize global state and all scopes into the bootstrap payload
+   * createApp() reads on the client. The JSON is escaped so it can be placed
+   * inside a <script type="application/json"> element as-is.
+   *
+   * @returns {string} JSON string: {"global": {...}, "scopes": {...}}.
+   *
+   * @example
+   *   const html = app.renderToString(render);
+   *   const page = `<div id="root">${html}</div>
+   *     <script type="application/json" id="act-state">${app.serializeState()}</script>`;
+   */
+  function serializeState() {
+    const payload = { global: globalState, scopes: {} };
+    for (const [name, scope] of Object.entries(scopes)) {
+      payload.scopes[name] = scope.all();
+    }
+    return JSON.stringify(payload)
+      .replace(/</g, "\\u003c")
+      .replace(/>/g, "\\u003e")
+      .replace(/&/g, "\\u0026")
+      .replace(/\u2028/g, "\\u2028")
+      .replace(/\u2029/g, "\\u2029");
   }
 
   // =========================================================================
   // LOCAL SCOPE
   // =========================================================================
 
+  /** Instances created so far per scope name — numbers "timer#1", "timer#2", … */
+  const instanceCounts = {};
+
+  /**
+   * Full name of a new scope: "<parent>/<name>", then "#<instance>" if it is
+   * an instance scope ({ instance: true } counts up from 1).
+   */
+  function scopeName(baseName, parent, instance) {
+    const name = parent ? `${parent.name}/${baseName}` : baseName;
+    if (instance === undefined || instance === false) return name;
+    if (instance === true) {
+      instanceCounts[name] = (instanceCounts[name] ?? 0) + 1;
+      return `${name}#${instanceCounts[name]}`;
+    }
+    return `${name}#${instance}`;
+  }
+
+  /** Plain scope names whose bootstrap entry already seeded an instance (see bootstrapFor). */
+  const usedSeeds = new Set();
+
+  /**
+   * Bootstrap state for a new scope: the entry under its full name, else — for
+   * the first instance of a name — the entry under the name without "#id", so
+   * {"scopes": {"todo": {...}}} still seeds "todo#main".
+   */
+  function bootstrapFor(name, plainName) {
+    const seeds = bootstrap.scopes ?? {};
+    if (seeds[name]) return seeds[name];
+    if (plainName === name || !seeds[plainName] || usedSeeds.has(plainName)) return undefined;
+    usedSeeds.add(plainName);
+    return seeds[plainName];
+  }
+
+  /** Cleanup function for scope.own(): the function itself, or its dispose-like method. */
+  function disposerOf(disposable) {
+    if (typeof disposable === "function") return disposable;
+    for (const method of ["dispose", "destroy", "unsubscribe", "disconnect", "abort"]) {
+      if (typeof disposable?.[method] === "function") return () => disposable[method]();
+    }
+    return null;
+  }
+
   /**
    * Create a new local scope for a component.
    * Each scope has its own private state and namespaced event handlers.
    * If a scope with the same name already exists, returns the existing one.
    *
-   * @param {string} name - Unique scope name (e.g., "timer", "todoInput").
+   * Reusable components create an instance scope instead: { instance: true }
+   * appends a per-name counter ("timer#1", "timer#2"), or pass a stable id
+   * ({ instance: "lap" } → "timer#lap") so persisted keys survive reordering.
+   * A child scope is named after its parent ("todo#main/todoInput").
+   *
+   * @param {string} name - Scope name (e.g., "timer", "todoInput").
+   * @param {Object} [options]
+   * @param {boolean|string} [options.instance] - Make the name unique per instance.
+   * @param {Object|string} [options.parent] - Parent scope (or its name) — prefixes the name.
+   * @param {Object} [options.props] - Per-instance props, read-only as scope.props.
    * @returns {Object} Scope object with setState, getState, on, handler, etc.
    *
    * @example
@@ -182,53 +809,488 @@ function createApp(container) {
    *
    *   // In template:
    *   `<button data-on='{"click":"${scope.handler("start")}"}'>Start</button>`
+   *
+   *   // One scope per component instance:
+   *   const scope = app.createScope("timer", { instance: true, props }); // "timer#1"
+   *   const input = scope.createChild("todoInput");                      // "timer#1/todoInput"
    */
-  function createScope(name) {
+  function createScope(baseName, options = {}) {
+    const parent =
+      typeof options.parent === "string" ? getScope(options.parent) : options.parent ?? null;
+    const name = scopeName(baseName, parent, options.instance);
+
     if (scopes[name]) {
-      console.warn(
+      warn(
         `[act.js] Scope "${name}" already exists. Use app.getScope("${name}") to access it.`
       );
       return scopes[name];
     }
 
     /** Private state for this scope — not accessible outside without getScope(). */
-    const localState = {};
+    const localState = { ...bootstrapFor(name, scopeName(baseName, parent)) };
+
+    /** Seeded keys whose first plain write is still to be skipped (see keepSeed). */
+    const seededKeys = new Set(Object.keys(localState));
+
+    /** Computed values — key → { fn, value, dirty, deps, invalidate }. */
+    const computeds = {};
+
+    /** Unsubscribe functions of this scope's watchers — run on destroy. */
+    const scopeWatchers = new Set();
+
+    /** Lifecycle hooks registered via onMount/onUpdate/onDestroy. */
+    const hooks = { mount: [], update: [], destroy: [] };
+
+    /** The data-scope root element currently in the DOM (null when not rendered). */
+    let rootEl = null;
+
+    /** Cleanup functions returned by onMount hooks — run when the root leaves the DOM. */
+    let mountCleanups = [];
+
+    /** Set by setState/deleteState, cleared after each render — drives onUpdate. */
+    let changedSinceRender = false;
+
+    /** The scope's render boundary record (see boundary()), or null. */
+    let boundaryRecord = null;
+
+    /** Undo/redo history (see history()), or null while not recording. */
+    let stateHistory = null;
+
+    /** Child scopes (createChild / the parent option), oldest first. */
+    const childScopes = new Set();
+
+    /** Timer IDs from scope.setInterval() / scope.setTimeout() — cleared on destroy. */
+    const intervals = new Set();
+    const timeouts = new Set();
+
+    /** Release functions from own() / listen() — run on destroy, newest first. */
+    const disposers = new Set();
+
+    /** Set by destroy() — later writes are ignored (with a warning in dev mode). */
+    let destroyed = false;
+
+    /** Warn (dev mode) about a write to this scope after it was destroyed. */
+    function warnDestroyed(method, path) {
+      if (!dev) return;
+      warn(
+        `[act.js] ${method}("${toPath(path).join(".")}") on destroyed scope "${name}" was ignored. ` +
+          `Use scope.setInterval() / scope.listen() / scope.own() so timers and listeners stop with the scope.`
+      );
+    }
+
+    /** Error context for a scope-owned timer or listener callback. */
+    function ownedContext(source) {
+      return { source, scope: name };
+    }
+
+    /** Run onMount hooks for a freshly rendered root element. */
+    function runMount(el) {
+      for (const fn of hooks.mount) {
+        const cleanup = guard(fn, hookContext("mount"), el);
+        if (typeof cleanup === "function") mountCleanups.push(cleanup);
+      }
+    }
+
+    /** Run the cleanups returned by onMount hooks. */
+    function runMountCleanups() {
+      const cleanups = mountCleanups;
+      mountCleanups = [];
+      for (const cleanup of cleanups) guard(cleanup, hookContext("mount cleanup"));
+    }
+
+    /** Error context for one of this scope's lifecycle hooks. */
+    function hookContext(hook) {
+      return { source: "lifecycle", scope: name, hook };
+    }
+
+    /** Remove a computed key and detach it from its dependencies. */
+    function untrackComputed(key) {
+      if (!computeds[key]) return;
+      untrack(computeds[key]);
+      delete computeds[key];
+    }
+
+    /** Register a hook and return a function that unregisters it. */
+    function addHook(list, fn) {
+      list.push(fn);
+      return () => {
+        const i = list.indexOf(fn);
+        if (i !== -1) list.splice(i, 1);
+      };
+    }
+
+    scopeInternals[name] = {
+      /** The name createScope() was called with ("todoInput" for "todo#main/todoInput"). */
+      baseName,
+
+      /** Live set of child scopes — parents add and remove entries. */
+      children: childScopes,
+
+      /**
+       * Called after every render: detect the root element appearing,
+       * disappearing or being replaced, and fire the matching hooks.
+       */
+      afterRender() {
+        const changed = changedSinceRender;
+        changedSinceRender = false;
+        if (hooks.mount.length === 0 && hooks.update.length === 0) return;
+
+        const el = findScopeRoot(name);
+        if (el !== rootEl) {
+          runMountCleanups(); // old root left the DOM (or was replaced)
+          rootEl = el;
+          if (el) runMount(el);
+        } else if (el && changed) {
+          for (const fn of hooks.update) guard(fn, hookContext("update"), el);
+        }
+      },
+
+      /** Snapshot for app.inspect(): plain state plus current computed values. */
+      inspect() {
+        const computed = {};
+        for (const key of Object.keys(computeds)) computed[key] = scope.getState(key);
+        return {
+          state: { ...localState },
+          computed,
+          history: stateHistory
+            ? { canUndo: stateHistory.canUndo(), canRedo: stateHistory.canRedo() }
+            : null,
+        };
+      },
+    };
 
     const scope = {
       /** The scope's name, used for handler namespacing. */
       name,
 
+      /** The parent scope (createScope's parent option), or null. */
+      parent,
+
+      /** Per-instance props (createScope's props option) — read-only. */
+      props: Object.freeze({ ...options.props }),
+
+      /** Direct child scopes, oldest first (a copy — use createChild() to add one). */
+      get children() {
+        return [...childScopes];
+      },
+
+      /**
+       * Create a child scope, named after this one ("todo#main/todoInput").
+       * It is destroyed together with this scope.
+       * @param {string} childName - Child scope name.
+       * @param {Object} [options] - { instance, props } as for app.createScope().
+       * @returns {Object} The child scope.
+       *
+       * @example
+       *   const input = todo.createChild("todoInput");
+       *   input.parent === todo; // → true
+       */
+      createChild(childName, options = {}) {
+        return createScope(childName, { ...options, parent: scope });
+      },
+
+      /**
+       * Find the nearest scope called `target` up the tree: an ancestor, or a
+       * child of an ancestor (a sibling, an uncle, …). Matches the name the
+       * scope was created with ("todo" finds "todo#main") or its full name.
+       * Lets a molecule reach its own component instance without knowing its name.
+       * @param {string} target - Scope name.
+       * @returns {Object|null} The scope, or null (with a warning) if none matches.
+       *
+       * @example
+       *   // Inside TodoList (scope "todo#main/todoList"):
+       *   scope.inject("todo");       // → "todo#main"
+       *   scope.inject("todoFilter"); // → "todo#main/todoFilter"
+       */
+      inject(target) {
+        const matches = (candidate) =>
+          candidate.name === target || scopeInternals[candidate.name]?.baseName === target;
+        for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+          if (matches(ancestor)) return ancestor;
+          for (const child of ancestor.children) {
+            if (child !== scope && matches(child)) return child;
+          }
+        }
+        warn(`[act.js] Scope "${name}" has no ancestor or relative named "${target}".`);
+        return null;
+      },
+
       /**
        * Set a local state value. Triggers re-render if app is mounted.
-       * @param {string} key - State key (local to this scope).
-       * @param {*} value - State value.
+       * Accepts updaters and paths like app.setState().
+       * @param {string|Array} path - State key (local to this scope) or path.
+       * @param {*|Function} value - State value, or (prev) => next.
        *
        * @example
        *   scope.setState("count", 0);
+       *   scope.setState("seconds", (s) => s + 1);
+       *   scope.setState(["items", 2, "completed"], true);
        */
-      setState(key, value) {
+      setState(path, value) {
+        if (destroyed) return warnDestroyed("setState", path);
+        if (computeds[toPath(path)[0]]) {
+          warn(
+            `[act.js] "${name}.${toPath(path)[0]}" is computed — it can't be set directly.`
+          );
+          return;
+        }
+        if (keepSeed(seededKeys, path, value)) return;
+        const update = resolveUpdate(localState, path, value);
+        const key = update.key;
+        value = update.value;
+        const prev = localState[key];
+        const change = interceptWrite(name, key, prev, value);
+        if (!change) return; // vetoed by a plugin
+        value = change.next;
         localState[key] = value;
+        changedSinceRender = true;
+        if (stateHistory) stateHistory.record(key, prev, value);
+        stateChanged(name, key, prev, value);
         if (mounted) scheduleRerender();
       },
 
       /**
        * Get a local state value.
-       * @param {string} key - State key.
+       * @param {string|Array} path - State key or path.
        * @returns {*} The stored value.
        *
        * @example
-       *   scope.getState("count"); // → 0
+       *   scope.getState("count");              // → 0
+       *   scope.getState(["items", 0, "text"]); // → "Buy milk"
        */
-      getState(key) {
-        return localState[key];
+      getState(path) {
+        const [key, ...rest] = toPath(path);
+        track(name, key);
+        let value = localState[key];
+        const computed = computeds[key];
+        if (computed) {
+          if (computed.dirty) {
+            computed.value = runTracked(computed, computed.fn);
+            computed.dirty = false;
+          }
+          value = computed.value;
+        }
+        return rest.length ? getIn(value, rest) : value;
+      },
+
+      /**
+       * Delete a local state key, or a nested key/array item by path.
+       * @param {string|Array} path - State key or path to remove.
+       */
+      deleteState(path) {
+        if (destroyed) return warnDestroyed("deleteState", path);
+        const { key, nested, value } = resolveDelete(localState, path);
+        if (nested) return scope.setState(key, () => value);
+        seededKeys.delete(key);
+        const prev = localState[key];
+        if (!interceptWrite(name, key, prev, undefined, true)) return;
+        delete localState[key];
+        changedSinceRender = true;
+        if (stateHistory) stateHistory.record(key, prev, undefined);
+        stateChanged(name, key, prev, undefined);
+        if (mounted) scheduleRerender();
+      },
+
+      /**
+       * Set several local keys (or paths) at once — they render together and
+       * form one undo entry.
+       * @param {Object} values - key or path → value (or updater).
+       *
+       * @example
+       *   scope.patchState({ running: false, seconds: 0 });
+       */
+      patchState(values) {
+        for (const [path, value] of Object.entries(values)) scope.setState(path, value);
+      },
+
+      /**
+       * Watch a key of this scope. Called after each change with the new and old value.
+       * Removed automatically when the scope is destroyed.
+       * @param {string} key - State key.
+       * @param {Function} fn - (next, prev) => void.
+       * @returns {Function} Unsubscribe function.
+       *
+       * @example
+       *   scope.watch("items", (items) => saveToServer(items));
+       */
+      watch(key, fn) {
+        const unwatch = addWatcher(depKey(name, key), fn);
+        scopeWatchers.add(unwatch);
+        return () => {
+          scopeWatchers.delete(unwatch);
+          unwatch();
+        };
+      },
+
+      /**
+       * Persist this scope's state: restore it from storage now, then save
+       * changes (debounced). Pending changes are written on destroy.
+       * See lib/persist.js for versions and migrations.
+       * @param {Object} [options] - { storage, keys, version, migrate, key, debounce }.
+       *   Saved under "act:scope:<name>" unless options.key is given.
+       * @returns {{flush: Function, clear: Function, stop: Function}}
+       *
+       * @example
+       *   scope.persist({ keys: ["items", "nextId"], version: 2,
+       *     migrate: { 2: (state) => ({ ...state, items: state.todos ?? [] }) } });
+       */
+      persist(options = {}) {
+        const persistence = createPersistence(
+          {
+            id: `scope:${name}`,
+            keys: () => Object.keys(localState),
+            getState: (key) => localState[key],
+            setState: (key, value) => scope.setState(key, value),
+            onChange: (fn) =>
+              subscribe((change) => {
+                if (change.scope === name) fn(change.key);
+              }),
+          },
+          options
+        );
+        hooks.destroy.push(() => persistence.stop());
+        return persistence;
+      },
+
+      /**
+       * Start recording undo/redo history for this scope. All writes made in
+       * the same tick (e.g. by one handler) become one entry; wrap async work
+       * in the returned group(fn) to keep it together across awaits.
+       * See lib/history.js.
+       * @param {Object} [options] - { limit = 100, keys } — keys to record (default: all).
+       * @returns {Object} { undo, redo, canUndo, canRedo, group, clear }
+       *
+       * @example
+       *   scope.history({ keys: ["items"], limit: 50 });
+       *   scope.on("undo", () => scope.undo());
+       *   `<button ${scope.canUndo() ? "" : "disabled"}>Undo</button>`
+       */
+      history(options = {}) {
+        if (stateHistory) return stateHistory;
+        stateHistory = createHistory(
+          {
+            apply: (key, value) =>
+              value === undefined ? scope.deleteState(key) : scope.setState(key, () => value),
+            onChange() {
+              // canUndo()/canRedo() are read like state — re-render their readers
+              invalidateDep(depKey(name, "$history"));
+              if (mounted) scheduleRerender();
+            },
+          },
+          options
+        );
+        return stateHistory;
+      },
+
+      /**
+       * Load async data into a state key as { data, error, loading }. The
+       * fetcher runs now, and again whenever state read by deps() changes;
+       * the request it replaces is aborted. Requests are deduped and cached
+       * per resource + deps value, and aborted when the scope is destroyed.
+       * See lib/resource.js.
+       * @param {string} key - State key receiving { data, error, loading }.
+       * @param {Function} fetcher - (depsValue, { signal, fetch }) => data | Promise.
+       * @param {Object} [options]
+       * @param {Function} [options.deps] - () => value passed to the fetcher; tracked like a computed.
+       * @param {string} [options.key] - Cache key shared with other resources (default "<scope>:<key>").
+       * @returns {{reload: Function, abort: Function}}
+       *
+       * @example
+       *   scope.resource("user", (id, { fetch }) => fetch(`/api/users/${id}`).then((r) => r.json()), {
+       *     deps: () => scope.getState("userId"),
+       *   });
+       *   const { data, error, loading } = scope.getState("user");
+       */
+      resource(key, fetcher, options = {}) {
+        let scheduled = false;
+        const record = {
+          deps: new Set(),
+          // Coalesce dependency changes made in the same tick into one load
+          invalidate() {
+            if (scheduled) return;
+            scheduled = true;
+            queueMicrotask(() => {
+              scheduled = false;
+              handle.load();
+            });
+          },
+        };
+        const handle = createResource(resources, {
+          id: options.key ?? `${name}:${key}`,
+          fetcher,
+          readDeps: () => (options.deps ? runTracked(record, options.deps) : undefined),
+          read: () => localState[key],
+          write: (value) => scope.setState(key, value),
+        });
+        scope.own(() => {
+          untrack(record);
+          handle.dispose();
+        });
+        handle.load();
+        return { reload: handle.reload, abort: handle.abort };
+      },
+
+      /**
+       * Revert the last history entry (see history()).
+       * @returns {boolean} false if there was nothing to undo.
+       */
+      undo() {
+        return stateHistory ? stateHistory.undo() : false;
+      },
+
+      /**
+       * Re-apply the last undone entry (see history()).
+       * @returns {boolean} false if there was nothing to redo.
+       */
+      redo() {
+        return stateHistory ? stateHistory.redo() : false;
+      },
+
+      /** @returns {boolean} Whether undo() would do something. Tracked like state. */
+      canUndo() {
+        track(name, "$history");
+        return stateHistory ? stateHistory.canUndo() : false;
+      },
+
+      /** @returns {boolean} Whether redo() would do something. Tracked like state. */
+      canRedo() {
+        track(name, "$history");
+        return stateHistory ? stateHistory.canRedo() : false;
       },
 
       /**
-       * Delete a local state key.
-       * @param {string} key - State key to remove.
+       * Define a computed (derived) key. The function runs lazily on the first
+       * getState(key); its result is cached until any scope or global key it
+       * read during its last run changes. Reads must go through getState() /
+       * getGlobal() / app.getState() to be tracked.
+       * @param {string} key - Computed key (read via getState like any other key).
+       * @param {Function} fn - () => value.
+       * @returns {Function} Function that removes the computed key.
+       *
+       * @example
+       *   scope.computed("activeCount", () =>
+       *     app.getScope("todo").getState("items").filter((i) => !i.completed).length
+       *   );
+       *   scope.getState("activeCount"); // cached until todo.items changes
        */
-      deleteState(key) {
-        delete localState[key];
+      computed(key, fn) {
+        untrackComputed(key);
+        computeds[key] = {
+          fn,
+          value: undefined,
+          dirty: true,
+          deps: new Set(),
+          invalidate() {
+            if (this.dirty) return;
+            this.dirty = true;
+            invalidateKey(name, key); // computeds reading this one are stale too
+          },
+        };
+        invalidateKey(name, key);
+        return () => {
+          untrackComputed(key);
+          invalidateKey(name, key);
+        };
       },
 
       /**
@@ -241,6 +1303,7 @@ function createApp(container) {
        *   const theme = scope.getGlobal("theme"); // → "dark"
        */
       getGlobal(key) {
+        track(null, key);
         return globalState[key];
       },
 
@@ -268,32 +1331,275 @@ function createApp(container) {
 
       /**
        * Get the full namespaced handler name for use in templates.
+       * Extra arguments are serialized into it (JSON — numbers, booleans,
+       * strings, null, arrays, plain objects) and passed to the handler
+       * after the event: fn(e, ...args).
        * @param {string} handlerName - Handler name.
-       * @returns {string} Namespaced handler name.
+       * @param {...*} args - Arguments bound to this element's handler call.
+       * @returns {string} Namespaced handler name (with encoded arguments).
        *
        * @example
        *   scope.handler("click"); // → "timer:click"
        *
        *   // Used in templates:
        *   `<button data-on='{"click":"${scope.handler("click")}"}'>Click</button>`
+       *
+       *   // With arguments — scope.on("toggle", (e, id) => ...) receives item.id:
+       *   `<button data-on='{"click":"${scope.handler("toggle", item.id)}"}'>✓</button>`
        */
-      handler(handlerName) {
-        return `${name}:${handlerName}`;
+      handler(handlerName, ...args) {
+        return handlerRef(`${name}:${handlerName}`, args);
       },
 
       /**
        * Get a snapshot of all local state as a plain object.
+       * Inside a render, the caller depends on every key of the scope.
        * @returns {Object} Copy of the local state.
        */
       all() {
+        if (activeTracker) activeTracker.deps.add(scopeDepKey(name));
         return { ...localState };
       },
 
       /**
-       * Destroy this scope — removes all handlers and clears local state.
+       * Make a render function a render boundary. State read while it runs is
+       * tracked; when only that state changes, just this function re-runs and
+       * only its root element is patched — the rest of the app is left alone.
+       * Its output must have a single root element with data-scope="<scope name>".
+       *
+       * It is also an error boundary: if fn throws, the error goes to
+       * app.onError and the fallback renders in place of this component only.
+       * The next change of state it read before failing renders it again.
+       * @param {Function} fn - The component's render function.
+       * @param {Object} [options]
+       * @param {Function|*} [options.fallback] - (error) => markup, or markup.
+       *   Default: <div data-scope="<name>" class="act-error" role="alert">.
+       * @returns {Function} Wrapped render function (same arguments and output).
+       *
+       * @example
+       *   return scope.boundary(() => app.htmlString`
+       *     <div data-scope="${scope.name}">${scope.getState("seconds")}s</div>
+       *   `, {
+       *     fallback: (err) => app.htmlString`<div data-scope="${scope.name}">Timer unavailable</div>`,
+       *   });
+       */
+      boundary(fn, options = {}) {
+        if (boundaryRecord) {
+          untrack(boundaryRecord);
+          dirtyBoundaries.delete(boundaryRecord);
+        }
+        const render = (...args) => {
+          try {
+            return fn(...args);
+          } catch (err) {
+            reportError(err, { source: "render", scope: name });
+            const { fallback } = options;
+            if (typeof fallback === "function") return fallback(err);
+            if (fallback !== undefined) return fallback;
+            return htmlString`<div data-scope="${name}" class="act-error" role="alert">Something went wrong.</div>`;
+          }
+        };
+        const record = {
+          scope: name,
+          render,
+          args: [],
+          deps: new Set(),
+          invalidate() {
+            dirtyBoundaries.add(record);
+          },
+        };
+        boundaryRecord = record;
+        return (...args) => {
+          record.args = args;
+          dirtyBoundaries.delete(record);
+          return runTracked(record, () => render(...args));
+        };
+      },
+
+      /**
+       * Run a function when the component's root element (data-scope="<name>")
+       * appears in the DOM — initial render, or after it was removed/replaced.
+       * Receives the root element; may return a cleanup function that runs when
+       * the element leaves the DOM or the scope is destroyed.
+       * @param {Function} fn - (rootEl) => void | cleanup.
+       * @returns {Function} Unregister function.
+       *
+       * @example
+       *   scope.onMount((el) => {
+       *     const chart = new Chart(el.querySelector("canvas"), config);
+       *     return () => chart.destroy();
+       *   });
+       */
+      onMount(fn) {
+        if (rootEl) {
+          const cleanup = guard(fn, hookContext("mount"), rootEl); // already on screen — run right away
+          if (typeof cleanup === "function") mountCleanups.push(cleanup);
+        }
+        return addHook(hooks.mount, fn);
+      },
+
+      /**
+       * Run a function after a re-render in which this scope's state changed
+       * (while its root element stays in the DOM). Receives the root element.
+       * @param {Function} fn - (rootEl) => void.
+       * @returns {Function} Unregister function.
+       */
+      onUpdate(fn) {
+        return addHook(hooks.update, fn);
+      },
+
+      /**
+       * Run a function when the scope is destroyed (scope.destroy() or app.destroy()),
+       * before its state and handlers are cleared.
+       * @param {Function} fn - () => void.
+       * @returns {Function} Unregister function.
+       *
+       * @example
+       *   scope.onDestroy(() => app.safeClearInterval(intervalId));
+       */
+      onDestroy(fn) {
+        return addHook(hooks.destroy, fn);
+      },
+
+      /**
+       * Like setInterval, but owned by the scope: cleared when the scope is
+       * destroyed. Errors thrown by fn go to app.onError (source "timer").
+       * @param {Function} fn - Callback.
+       * @param {number} ms - Interval in milliseconds.
+       * @returns {number} Interval ID (for scope.clearInterval).
+       *
+       * @example
+       *   const id = scope.setInterval(() => scope.setState("seconds", (s) => s + 1), 1000);
+       */
+      setInterval(fn, ms) {
+        if (destroyed) return null;
+        const id = setInterval(() => guard(fn, ownedContext("timer")), ms);
+        intervals.add(id);
+        return id;
+      },
+
+      /**
+       * Clear an interval started with scope.setInterval().
+       * @param {number} id - Interval ID.
+       */
+      clearInterval(id) {
+        clearInterval(id);
+        intervals.delete(id);
+      },
+
+      /**
+       * Like setTimeout, but owned by the scope: cancelled when the scope is
+       * destroyed. Errors thrown by fn go to app.onError (source "timer").
+       * @param {Function} fn - Callback.
+       * @param {number} ms - Delay in milliseconds.
+       * @returns {number} Timeout ID (for scope.clearTimeout).
+       */
+      setTimeout(fn, ms) {
+        if (destroyed) return null;
+        const id = setTimeout(() => {
+          timeouts.delete(id);
+          guard(fn, ownedContext("timer"));
+        }, ms);
+        timeouts.add(id);
+        return id;
+      },
+
+      /**
+       * Cancel a timeout started with scope.setTimeout().
+       * @param {number} id - Timeout ID.
+       */
+      clearTimeout(id) {
+        clearTimeout(id);
+        timeouts.delete(id);
+      },
+
+      /**
+       * Add an event listener outside the app's container (window, document,
+       * a media query, a WebSocket…) that is removed when the scope is
+       * destroyed. Errors thrown by fn go to app.onError (source "listener").
+       * @param {EventTarget} target - Where to listen.
+       * @param {string} event - Event type.
+       * @param {Function} fn - (event) => void.
+       * @param {Object|boolean} [options] - addEventListener options.
+       * @returns {Function} Removes the listener early.
+       *
+       * @example
+       *   scope.listen(window, "resize", () => scope.setState("width", window.innerWidth));
+       *   scope.listen(document, "keydown", (e) => e.key === "Escape" && scope.setState("open", false));
+       */
+      listen(target, event, fn, options) {
+        const listener = (e) => guard(fn, ownedContext("listener"), e);
+        target.addEventListener(event, listener, options);
+        return scope.own(() => target.removeEventListener(event, listener, options));
+      },
+
+      /**
+       * Tie anything disposable to the scope: it is released when the scope is
+       * destroyed (newest first). Accepts a cleanup function or an object with
+       * dispose(), destroy(), unsubscribe(), disconnect() or abort() — e.g. an
+       * AbortController, a ResizeObserver or another app's subscription.
+       * Owning something on a destroyed scope releases it right away.
+       * @param {Function|Object} disposable - What to release.
+       * @returns {Function} Releases it early (once).
+       *
+       * @example
+       *   const controller = new AbortController();
+       *   scope.own(controller); // in-flight fetches are aborted on destroy
+       *   fetch(url, { signal: controller.signal });
+       *
+       *   scope.own(app.subscribe((change) => ...));
+       */
+      own(disposable) {
+        const dispose = disposerOf(disposable);
+        if (!dispose) {
+          warn(
+            `[act.js] scope.own() on "${name}" expects a function or an object with dispose(), destroy(), unsubscribe(), disconnect() or abort().`
+          );
+          return () => {};
+        }
+        let released = false;
+        const release = () => {
+          if (released) return;
+          released = true;
+          disposers.delete(release);
+          guard(dispose, hookContext("dispose"));
+        };
+        if (destroyed) release();
+        else disposers.add(release);
+        return release;
+      },
+
+      /**
+       * Destroy this scope — first its child scopes (newest first), then runs
+       * onDestroy hooks (and onMount cleanups), clears its timers, releases
+       * what it owns (listen / own), removes all handlers and clears local state.
        * Called automatically by app.destroy(), or manually if needed.
        */
       destroy() {
+        if (scopes[name] !== scope) return; // already destroyed
+        for (const child of [...childScopes].reverse()) child.destroy();
+        if (parent) scopeInternals[parent.name]?.children.delete(scope);
+
+        runMountCleanups();
+        for (const fn of hooks.destroy) guard(fn, hookContext("destroy"));
+        destroyed = true;
+        for (const id of intervals) clearInterval(id);
+        intervals.clear();
+        for (const id of timeouts) clearTimeout(id);
+        timeouts.clear();
+        for (const release of [...disposers].reverse()) release();
+        rootEl = null;
+        delete scopeInternals[name];
+        if (boundaryRecord) {
+          untrack(boundaryRecord);
+          dirtyBoundaries.delete(boundaryRecord);
+          boundaryRecord = null;
+        }
+        for (const key of Object.keys(computeds)) untrackComputed(key);
+        stateHistory = null;
+        for (const unwatch of scopeWatchers) unwatch();
+        scopeWatchers.clear();
+
         for (const key of Object.keys(handlers)) {
           if (key.startsWith(`${name}:`)) {
             delete handlers[key];
@@ -307,6 +1613,10 @@ function createApp(container) {
     };
 
     scopes[name] = scope;
+    if (parent) scopeInternals[parent.name]?.children.add(scope);
+    for (const hooks of plugins) {
+      if (hooks.scope) addMethods(scope, hooks.scope(scope), "scope");
+    }
     return scope;
   }
 
@@ -324,7 +1634,7 @@ function createApp(container) {
   function getScope(name) {
     const scope = scopes[name];
     if (!scope) {
-      console.warn(
+      warn(
         `[act.js] Scope "${name}" not found. Make sure it's created first.`
       );
       return null;
@@ -333,76 +1643,157 @@ function createApp(container) {
   }
 
   // =========================================================================
-  // SAFE TIMERS (tracked for cleanup)
+  // FORMS
   // =========================================================================
 
   /**
-   * Wrapper around setInterval that tracks the ID for cleanup.
-   * Use this instead of raw setInterval to prevent memory leaks.
-   *
-   * @param {Function} fn - Callback function.
-   * @param {number} ms - Interval in milliseconds.
-   * @returns {number} Interval ID.
+   * Create a form — a scope named `name` with one key per field, plus
+   * validation, touched/dirty/pending flags and submit handling (lib/form.js).
+   * @param {string} name - Form (and scope) name.
+   * @param {Object} schema - { fields: { field: { initial, validate } }, validate?, submit? }.
+   * @returns {Object} Form API (values, error, errorFor, submit, setErrors, reset, …).
    *
    * @example
-   *   const id = app.safeSetInterval(() => {
-   *     scope.setState("seconds", scope.getState("seconds") + 1);
-   *   }, 1000);
+   *   const form = app.form("contact", {
+   *     fields: { name: { initial: "", validate: validators.required() } },
+   *     submit: (values) => save(values),
+   *   });
+   *   // <form data-scope="contact" data-on='{"submit.prevent":"${form.handler("submit")}"}'>
+   *   //   <input data-bind="name" /> ${form.errorFor("name")}
    */
-  function safeSetInterval(fn, ms) {
-    const id = setInterval(fn, ms);
-    intervals.add(id);
-    return id;
+  function form(name, schema) {
+    return createForm(app, name, schema);
   }
 
-  /**
-   * Clear a tracked interval.
-   * @param {number} id - Interval ID returned by safeSetInterval.
-   */
-  function safeClearInterval(id) {
-    clearInterval(id);
-    intervals.delete(id);
-  }
+  // =========================================================================
+  // PERSISTENCE
+  // =========================================================================
 
-  /**
-   * Wrapper around setTimeout that tracks the ID for cleanup.
-   * Auto-removes from tracking when the timeout fires.
-   *
-   * @param {Function} fn - Callback function.
-   * @param {number} ms - Delay in milliseconds.
-   * @returns {number} Timeout ID.
-   */
-  function safeSetTimeout(fn, ms) {
-    const id = setTimeout(() => {
-      timeouts.delete(id);
-      fn();
-    }, ms);
-    timeouts.add(id);
-    return id;
-  }
+  /** Global persistence handles — flushed and stopped by destroy(). */
+  const persistences = new Set();
 
   /**
-   * Clear a tracked timeout.
-   * @param {number} id - Timeout ID returned by safeSetTimeout.
+   * Persist global keys: restore them from storage now, then save changes
+   * (debounced). See lib/persist.js for versions and migrations.
+   * @param {Object} options - { keys, storage, version, migrate, key, debounce }.
+   *   Saved under "act:global:<keys>" unless options.key is given.
+   * @returns {{flush: Function, clear: Function, stop: Function}|null}
+   *
+   * @example
+   *   app.persist({ keys: ["phone_contacts"] });
+   *   app.persist({ keys: ["theme"], storage: sessionStorage });
    */
-  function safeClearTimeout(id) {
-    clearTimeout(id);
-    timeouts.delete(id);
+  function persist(options = {}) {
+    if (!options.keys || options.keys.length === 0) {
+      warn("[act.js] app.persist() needs options.keys — which global keys to save.");
+      return null;
+    }
+    const persistence = createPersistence(
+      {
+        id: `global:${options.keys.join(",")}`,
+        keys: () => options.keys,
+        getState: (key) => globalState[key],
+        setState,
+        onChange: (fn) =>
+          subscribe((change) => {
+            if (change.scope === null) fn(change.key);
+          }),
+      },
+      options
+    );
+    persistences.add(persistence);
+    return persistence;
   }
 
   // =========================================================================
   // RENDERING
   // =========================================================================
 
+  /** Remove the delegated event listeners from the container (on destroy). */
+  function cleanupListeners() {
+    for (const [key, listener] of delegatedListeners) {
+      const type = key.split(".")[0];
+      container.removeEventListener(type, listener, { capture: needsCapture(type) });
+    }
+    delegatedListeners.clear();
+  }
+
+  /** Find a scope's root element (data-scope="<name>") in the container. */
+  function findScopeRoot(name) {
+    return container.querySelector(
+      `[data-scope="${name.replace(/["\\]/g, "\\$&")}"]`
+    );
+  }
+
   /**
-   * Remove all tracked event listeners from the DOM.
-   * Called before every re-render to prevent memory leaks.
+   * Flush pending state changes to the DOM: a full re-render if needed,
+   * otherwise only the render boundaries whose state changed.
    */
-  function cleanupListeners() {
-    for (const { el, event, handler } of activeListeners) {
-      el.removeEventListener(event, handler);
+  function flushRender() {
+    if (!renderFn) return;
+    if (needsFullRender) {
+      rerender();
+      return;
+    }
+    if (dirtyBoundaries.size === 0) {
+      syncBindings(container); // bound keys may change without any render
+      return;
+    }
+
+    const dirty = [...dirtyBoundaries].map((record) => ({
+      record,
+      root: findScopeRoot(record.scope),
+    }));
+    dirtyBoundaries.clear();
+
+    // A boundary that isn't on screen can't be patched on its own
+    if (dirty.some(({ root }) => !root)) {
+      rerender();
+      return;
+    }
+
+    // Nested boundaries re-run with their parent — patch outermost ones only
+    const outermost = dirty.filter(
+      ({ root }) => !dirty.some((other) => other.root !== root && other.root.contains(root))
+    );
+    const info = { full: false, scopes: outermost.map(({ record }) => record.scope) };
+    runHooks("beforeRender", info);
+    for (const { record, root } of outermost) {
+      if (!renderBoundary(record, root)) {
+        rerender();
+        return;
+      }
+    }
+    syncBindings(container);
+    runLifecycle();
+    runHooks("afterRender", info);
+  }
+
+  /**
+   * Re-run one boundary's render function and patch its root element.
+   * @returns {boolean} false if the output has no matching root element
+   *   (the caller falls back to a full re-render).
+   */
+  function renderBoundary(record, root) {
+    const output = runTracked(record, () => record.render(...record.args));
+
+    let fragment = output;
+    if (!output || typeof output.nodeType !== "number") {
+      const template = document.createElement("template");
+      template.innerHTML = renderValue(output).trim();
+      fragment = template.content;
+    }
+    const next = fragment.nodeType === 1 ? fragment : fragment.firstElementChild;
+    if (!next || next.getAttribute("data-scope") !== record.scope) {
+      warn(
+        `[act.js] Boundary of scope "${record.scope}" must render a single root element with data-scope="${record.scope}".`
+      );
+      return false;
     }
-    activeListeners = [];
+
+    patch(root.parentNode, root, next);
+    bindEvents(findScopeRoot(record.scope));
+    return true;
   }
 
   /**
@@ -413,8 +1804,20 @@ function createApp(container) {
   function rerender() {
     if (!renderFn) return;
 
-    cleanupListeners();
-    const content = renderFn(globalState);
+    dirtyBoundaries.clear();
+    const info = { full: true, scopes: null };
+    runHooks("beforeRender", info);
+    let content;
+    try {
+      content = runTracked(rootRecord, () => renderFn(globalState));
+    } catch (err) {
+      // Outside any boundary: keep the current DOM, render again on the
+      // next change of state read before the error
+      needsFullRender = false;
+      reportError(err, { source: "render", scope: null });
+      return;
+    }
+    needsFullRender = false;
 
     if (!container.hasChildNodes()) {
       container.appendChild(content); // initial render — nothing to diff against
@@ -423,36 +1826,139 @@ function createApp(container) {
     }
 
     bindEvents(container);
+    syncBindings(container);
+    runLifecycle();
+    runHooks("afterRender", info);
+  }
+
+  /** Fire scope lifecycle hooks (onMount/onUpdate) after a render. */
+  function runLifecycle() {
+    for (const internals of Object.values(scopeInternals)) {
+      internals.afterRender();
+    }
   }
 
   /**
-   * Find all elements with data-on attributes and bind their event handlers.
-   * data-on format: '{"eventName":"handlerName"}' (JSON object).
+   * Find all elements with data-on attributes and make sure the container
+   * listens for their event types. Handlers are looked up when the event
+   * fires, so re-rendered elements need no re-binding.
+   * data-on format: '{"eventName.modifier":"handlerName"}' (JSON object).
    *
    * @param {HTMLElement} root - Root element to search within.
    *
    * @example
    *   // In template:
    *   <button data-on='{"click":"counter:increment"}'>+</button>
+   *   <form data-on='{"submit.prevent":"contact:save"}'>...</form>
    *
    *   // This will call handlers["counter:increment"] on click.
    */
   function bindEvents(root) {
-    root.querySelectorAll("[data-on]").forEach((el) => {
-      const eventMap = JSON.parse(el.getAttribute("data-on"));
-      for (const [event, handlerName] of Object.entries(eventMap)) {
-        const handler = handlers[handlerName];
-        if (handler) {
-          el.addEventListener(event, handler);
-          activeListeners.push({ el, event, handler });
-        } else {
-          console.warn(
-            `[act.js] No handler registered for "${handlerName}"`
+    for (const el of root.querySelectorAll("[data-bind]")) {
+      listenFor(bindEventType(el), false);
+    }
+
+    const elements = [...root.querySelectorAll("[data-on]")];
+    if (root.hasAttribute?.("data-on")) elements.unshift(root);
+    for (const el of elements) {
+      for (const binding of parseDataOn(el.getAttribute("data-on"))) {
+        listenFor(binding.type, binding.passive);
+        if (!handlers[binding.handler]) {
+          warn(
+            `[act.js] No handler registered for "${binding.handler}"`
           );
         }
       }
-      el.removeAttribute("data-on");
-    });
+    }
+  }
+
+  /** Add the container's delegated listener for an event type (once). */
+  function listenFor(type, passive) {
+    const key = passive ? `${type}.passive` : type;
+    if (delegatedListeners.has(key)) return;
+    const listener = (e) => delegateEvent(e, type, passive);
+    // Bubble phase, so the target's own listeners run first and .stop only
+    // stops what is outside — capture only for events that don't bubble
+    // (focus, blur, scroll…), which would never reach the container otherwise
+    container.addEventListener(type, listener, { capture: needsCapture(type), passive });
+    delegatedListeners.set(key, listener);
+  }
+
+  /**
+   * Run the data-on handlers for an event: on the target, then on each
+   * ancestor up to the container (only the target if the event doesn't
+   * bubble), until a handler stops propagation.
+   */
+  function delegateEvent(e, type, passive) {
+    // data-bind first, so data-on handlers for the same event see the new state
+    const target = e.target;
+    if (
+      !passive &&
+      target.nodeType === Node.ELEMENT_NODE &&
+      target.hasAttribute("data-bind") &&
+      bindEventType(target) === type
+    ) {
+      writeBinding(target);
+    }
+
+    for (let el = e.target; el && el !== container; el = el.parentNode) {
+      if (el.nodeType === Node.ELEMENT_NODE && el.hasAttribute("data-on")) {
+        for (const binding of parseDataOn(el.getAttribute("data-on"))) {
+          if (binding.type === type && binding.passive === passive) {
+            runBinding(binding, el, e);
+          }
+        }
+      }
+      if (!e.bubbles || e.cancelBubble) break;
+    }
+  }
+
+  /** Apply a binding's modifiers, then call its handler with currentTarget set to el. */
+  function runBinding(binding, el, e) {
+    const { modifiers } = binding;
+    if (modifiers.self && e.target !== el) return;
+    if (!matchesKeys(modifiers, e)) return;
+
+    let state = null;
+    if (modifiers.once || modifiers.debounce || modifiers.throttle) {
+      if (!bindingState.has(el)) bindingState.set(el, {});
+      const perElement = bindingState.get(el);
+      state = perElement[binding.spec] ??= { done: false, timer: null, last: 0 };
+    }
+    if (modifiers.once) {
+      if (state.done) return;
+      state.done = true;
+    }
+
+    if (modifiers.prevent && !binding.passive) e.preventDefault();
+    if (modifiers.stop) e.stopPropagation();
+
+    const invoke = () => {
+      const handler = handlers[binding.handler];
+      if (!handler) return;
+      let args;
+      try {
+        args = decodeHandlerArgs(binding.args);
+      } catch {
+        warn(`[act.js] Malformed arguments for handler "${binding.handler}"`);
+        return;
+      }
+      // A delegated event's currentTarget is the container — point it at el
+      Object.defineProperty(e, "currentTarget", { value: el, configurable: true });
+      dispatchHandler(binding.handler, handler, e, args, el);
+    };
+
+    if (modifiers.debounce) {
+      app.safeClearTimeout(state.timer);
+      state.timer = app.safeSetTimeout(invoke, modifiers.debounce);
+    } else if (modifiers.throttle) {
+      const now = Date.now();
+      if (now - state.last < modifiers.throttle) return;
+      state.last = now;
+      invoke();
+    } else {
+      invoke();
+    }
   }
 
   /** Registry of all event handlers (both global and scoped). */
@@ -478,6 +1984,105 @@ function createApp(container) {
     delete handlers[name];
   }
 
+  /**
+   * Get a global handler reference with arguments for use in templates
+   * (see scope.handler). The handler is called as fn(e, ...args).
+   * @param {string} name - Global handler name.
+   * @param {...*} args - JSON-serializable arguments.
+   * @returns {string} Handler reference for data-on.
+   *
+   * @example
+   *   `<button data-on='{"click":"${app.handler("addAmount", 5)}"}'>+5</button>`
+   */
+  function handler(name, ...args) {
+    return handlerRef(name, args);
+  }
+
+  // =========================================================================
+  // TWO-WAY BINDING (data-bind)
+  // =========================================================================
+
+  /**
+   * Parsers usable in data-bind ("key|number|…") — element string → state value.
+   * Register more with app.parser(name, fn).
+   */
+  const parsers = {
+    number: (value) => (String(value).trim() === "" ? null : Number(value)),
+    trim: (value) => String(value).trim(),
+  };
+
+  /** Unknown parser names already warned about (sync runs after every render). */
+  const warnedParsers = new Set();
+
+  /** Global state, shaped like a scope for data-bind. */
+  const globalStore = { getState, setState };
+
+  /**
+   * Register a data-bind parser.
+   * @param {string} name - Used as "key|name" in data-bind.
+   * @param {Function} fn - (value) => parsed value. Receives the element's
+   *   string value (or the previous parser's result).
+   *
+   * @example
+   *   app.parser("digits", (value) => value.replace(/\D/g, ""));
+   *   // <input data-bind="pin|digits" />
+   */
+  function parser(name, fn) {
+    parsers[name] = fn;
+  }
+
+  /**
+   * Resolve an element's data-bind attribute to a store and key:
+   * "scope.key" if that scope exists, otherwise a key of the nearest
+   * data-scope ancestor's scope, otherwise a global key.
+   * @returns {{store: Object, key: string, parse: Function}}
+   */
+  function resolveBinding(el) {
+    const { path, pipes } = parseBindAttr(el.getAttribute("data-bind"));
+
+    let store = null;
+    let key = path;
+    const dot = path.indexOf(".");
+    if (dot > 0 && scopes[path.slice(0, dot)]) {
+      store = scopes[path.slice(0, dot)];
+      key = path.slice(dot + 1);
+    } else {
+      const host = el.closest("[data-scope]");
+      if (host) store = scopes[host.getAttribute("data-scope")] ?? null;
+    }
+
+    const fns = pipes.filter((name) => {
+      if (parsers[name]) return true;
+      if (!warnedParsers.has(name)) {
+        warnedParsers.add(name);
+        warn(`[act.js] Unknown data-bind parser "${name}" — register it with app.parser().`);
+      }
+      return false;
+    });
+    const parse = (value) => fns.reduce((acc, name) => parsers[name](acc), value);
+
+    return { store: store ?? globalStore, key, parse };
+  }
+
+  /** Element → state: write a bound element's value after the user changed it. */
+  function writeBinding(el) {
+    const { store, key, parse } = resolveBinding(el);
+    const value = readBoundValue(el, store.getState(key), parse);
+    store.setState(key, value);
+    // Filtering parsers (e.g. digits only) — show the cleaned text right away
+    if (bindEventType(el) === "input" && typeof value === "string" && el.value !== value) {
+      el.value = value;
+    }
+  }
+
+  /** State → element: make every bound element under root show its state value. */
+  function syncBindings(root) {
+    for (const el of root.querySelectorAll("[data-bind]")) {
+      const { store, key, parse } = resolveBinding(el);
+      writeBoundValue(el, store.getState(key), parse);
+    }
+  }
+
   // =========================================================================
   // LIFECYCLE
   // =========================================================================
@@ -499,31 +2104,144 @@ function createApp(container) {
    *   `);
    */
   function mount(fn) {
-    // Convert registered CSS strings into CSSStyleSheet objects
-    mountedStringSheets = criticalCSSStrings.map((css) => {
-      const sheet = new CSSStyleSheet();
-      sheet.replaceSync(css);
-      return sheet;
-    });
-
-    // Apply all critical sheets atomically before first render
-    if (mountedStringSheets.length > 0 || criticalSheets.length > 0) {
-      document.adoptedStyleSheets = [
-        ...document.adoptedStyleSheets,
-        ...mountedStringSheets,
-        ...criticalSheets,
-      ];
-    }
+    runHooks("mount", { hydrate: false, container });
 
     renderFn = fn;
     mounted = true;
     rerender();
   }
 
+  /**
+   * Hydrate server-rendered markup (from app.renderToString) already in the container.
+   * The existing DOM is trusted as-is — nothing is re-rendered, only data-on
+   * handlers are bound. Afterwards the app behaves exactly like a mounted one:
+   * the next setState() diffs against the server markup.
+   *
+   * In dev mode (createApp(el, { dev: true })) the first client render is
+   * compared against the server markup, and each mismatch is warned about
+   * with a path to the offending node.
+   *
+   * @param {Function} fn - Render function: (globalState) => DocumentFragment.
+   *
+   * @example
+   *   const app = createApp(document.getElementById("root"), { dev: true });
+   *   app.hydrate((state) => app.html`<div class="app">${renderTimer()}</div>`);
+   */
+  function hydrate(fn) {
+    runHooks("mount", { hydrate: true, container });
+
+    renderFn = fn;
+    mounted = true;
+    // Nothing has been rendered (and tracked) on the client yet, so the
+    // first state change re-renders everything
+    needsFullRender = true;
+
+    // The server markup stands in for the first render — plugins see the
+    // same beforeRender/afterRender pair as after mount()
+    const info = { full: true, scopes: null };
+    runHooks("beforeRender", info);
+
+    if (dev) {
+      for (const { node, reason } of findHydrationMismatches(container, fn(globalState))) {
+        warn(
+          `[act.js] Hydration mismatch at ${nodePath(node)}: ${reason}`
+        );
+      }
+    }
+
+    bindEvents(container);
+    syncBindings(container);
+    runLifecycle();
+    runHooks("afterRender", info);
+  }
+
+  /** Whitespace-only text and comments don't count when comparing markup. */
+  function isSignificant(node) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.trim() !== "";
+    return node.nodeType === Node.ELEMENT_NODE;
+  }
+
+  /** Describe a text snippet for warnings, shortened to stay readable. */
+  function snippet(text) {
+    const trimmed = text.trim();
+    return JSON.stringify(trimmed.length > 40 ? `${trimmed.slice(0, 40)}…` : trimmed);
+  }
+
+  /**
+   * Walk the server DOM and the client render in parallel and collect mismatches.
+   * Stops descending into a subtree at its first structural mismatch.
+   *
+   * @returns {Array<{node: Node, reason: string}>}
+   */
+  function findHydrationMismatches(oldParent, newParent, found = []) {
+    const oldCh = [...oldParent.childNodes].filter(isSignificant);
+    const newCh = [...newParent.childNodes].filter(isSignificant);
+
+    if (oldCh.length !== newCh.length) {
+      found.push({
+        node: oldParent,
+        reason: `expected ${newCh.length} child node(s), found ${oldCh.length}`,
+      });
+      return found;
+    }
+
+    oldCh.forEach((oldNode, i) => {
+      const newNode = newCh[i];
+      if (oldNode.nodeName !== newNode.nodeName) {
+        found.push({
+          node: oldNode,
+          reason: `expected <${newNode.nodeName.toLowerCase()}>, found <${oldNode.nodeName.toLowerCase()}>`,
+        });
+        return;
+      }
+      if (oldNode.nodeType === Node.TEXT_NODE) {
+        if (oldNode.textContent.trim() !== newNode.textContent.trim()) {
+          found.push({
+            node: oldNode,
+            reason: `expected text ${snippet(newNode.textContent)}, found ${snippet(oldNode.textContent)}`,
+          });
+        }
+        return;
+      }
+      const names = new Set([
+        ...oldNode.getAttributeNames(),
+        ...newNode.getAttributeNames(),
+      ]);
+      for (const name of names) {
+        if (oldNode.getAttribute(name) !== newNode.getAttribute(name)) {
+          found.push({
+            node: oldNode,
+            reason: `attribute "${name}" expected ${JSON.stringify(newNode.getAttribute(name))}, found ${JSON.stringify(oldNode.getAttribute(name))}`,
+          });
+        }
+      }
+      findHydrationMismatches(oldNode, newNode, found);
+    });
+    return found;
+  }
+
+  /**
+   * CSS-like path from the container to a node, for warnings.
+   * e.g. "div.app > div.components-grid > div:nth-child(2) > p"
+   */
+  function nodePath(node) {
+    const parts = [];
+    for (let el = node; el && el !== container; el = el.parentNode) {
+      if (el.nodeType !== Node.ELEMENT_NODE) {
+        parts.unshift("#text");
+        continue;
+      }
+      const index = [...el.parentNode.children].indexOf(el) + 1;
+      const classes = [...el.classList].map((c) => `.${c}`).join("");
+      parts.unshift(`${el.localName}${classes}:nth-child(${index})`);
+    }
+    return parts.length ? parts.join(" > ") : "(container)";
+  }
+
   /**
    * Destroy the app — full cleanup.
    * - Removes all event listeners.
-   * - Clears all tracked intervals and timeouts.
+   * - Runs plugin destroy hooks (clears safe timers, critical stylesheets).
    * - Destroys all scopes (their state and handlers).
    * - Clears the container DOM.
    * - Resets global state and handlers.
@@ -538,27 +2256,26 @@ function createApp(container) {
     renderFn = null;
 
     cleanupListeners();
+    untrack(rootRecord);
+    dirtyBoundaries.clear();
+    needsFullRender = true;
 
-    for (const id of intervals) clearInterval(id);
-    intervals.clear();
+    // Plugins first (safe timers, critical CSS, ...), while state still exists
+    for (const plugin of [...plugins].reverse()) plugin.destroy?.();
 
-    for (const id of timeouts) clearTimeout(id);
-    timeouts.clear();
+    for (const persistence of persistences) persistence.stop();
+    persistences.clear();
 
     for (const name of Object.keys(scopes)) {
-      scopes[name].destroy();
+      scopes[name]?.destroy(); // children go with their parent
     }
+    for (const name of Object.keys(instanceCounts)) delete instanceCounts[name];
+    resources.clear();
 
-    // Remove only the adopted stylesheets this app registered
-    const allRegistered = [...mountedStringSheets, ...criticalSheets];
-    document.adoptedStyleSheets = document.adoptedStyleSheets.filter(
-      (s) => !allRegistered.includes(s)
-    );
-    criticalCSSStrings.length = 0;
-    criticalSheets.length = 0;
-    mountedStringSheets = [];
-
-    container.innerHTML = "";
+    if (container) container.innerHTML = "";
+    watchers.clear();
+    subscribers.clear();
+    errorListeners.clear();
     globalState = {};
     for (const key of Object.keys(handlers)) {
       delete handlers[key];
@@ -567,6 +2284,47 @@ function createApp(container) {
     console.log("[act.js] App destroyed and cleaned up.");
   }
 
+  // =========================================================================
+  // SERVER-SIDE RENDERING
+  // =========================================================================
+
+  /**
+   * Render the app to an HTML string — no DOM or browser globals needed.
+   * Components, scopes and handlers are set up exactly as in the browser;
+   * data-on attributes stay in the markup so the client can bind them later.
+   * Registered critical CSS is emitted as a leading <style data-act-critical> block.
+   *
+   * @param {Function} fn - Render function: (globalState) => app.html`...`.
+   * @param {Object} [initialState] - Values merged into global state before rendering.
+   * @returns {string} HTML string.
+   *
+   * @example
+   *   // render.js — run with: node --import ./lib/server.js render.js
+   *   const app = createApp();
+   *   const renderTimer = TimerComponent(app);
+   *   const html = app.renderToString(
+   *     (state) => app.html`<div class="app"><h1>${state.appName}</h1>${renderTimer()}</div>`,
+   *     { appName: "Act" }
+   *   );
+   */
+  function renderToString(fn, initialState = {}) {
+    Object.assign(globalState, initialState);
+
+    let markup;
+    renderingToString = true;
+    try {
+      markup = renderValue(fn(globalState)).trim();
+    } finally {
+      renderingToString = false;
+    }
+
+    // Plugins may add to the markup (critical CSS prepends its <style> block)
+    for (const plugin of plugins) {
+      if (plugin.renderToString) markup = plugin.renderToString(markup) ?? markup;
+    }
+    return markup;
+  }
+
   // =========================================================================
   // TEMPLATE ENGINE
   // =========================================================================
@@ -575,65 +2333,122 @@ function createApp(container) {
    * Tagged template literal for creating DOM nodes from HTML strings.
    * Handles string interpolation, arrays (for lists), and nested templates.
    *
+   * Every interpolated value is HTML-escaped (text and attribute contexts).
+   * Nested app.html / app.htmlString results and app.raw() markup are
+   * passed through untouched.
+   *
    * @param {TemplateStringsArray} strings - Static template parts.
    * @param {...*} values - Dynamic values to interpolate.
-   * @returns {DocumentFragment} Parsed DOM fragment.
+   * @returns {DocumentFragment} Parsed DOM fragment
+   *   (safe markup instead while renderToString() runs).
    *
    * @example
    *   const fragment = app.html`
    *     <div class="card">
    *       <h2>${title}</h2>
-   *       <ul>${items.map(item => `<li>${item}</li>`)}</ul>
+   *       <ul>${items.map(item => app.htmlString`<li>${item}</li>`)}</ul>
    *     </div>
    *   `;
    */
   function html(strings, ...values) {
-    let raw = strings.reduce((result, str, i) => {
-      let value = values[i] ?? "";
-      if (Array.isArray(value)) value = value.join("");
-      return result + str + value;
-    }, "");
+    const markup = htmlString(strings, ...values).html.trim();
+    if (renderingToString) return raw(markup); // server: stay in string land
 
     const template = document.createElement("template");
-    template.innerHTML = raw.trim();
+    template.innerHTML = markup;
     return template.content;
   }
 
+  // =========================================================================
+  // INSPECTION
+  // =========================================================================
+
+  /**
+   * Snapshot of the app's state and handlers, for debugging tools
+   * (see lib/devtools.js). Values are shallow copies — edit state through
+   * setState, not through the snapshot.
+   * @returns {Object} { global, scopes: { name: { state, computed, history } },
+   *   handlers: string[], container }
+   *
+   * @example
+   *   app.inspect().scopes.todo.state.items; // → [{ id: 1, ... }]
+   */
+  function inspect() {
+    const scopeSnapshots = {};
+    for (const name of Object.keys(scopes)) {
+      scopeSnapshots[name] = scopeInternals[name].inspect();
+    }
+    return {
+      global: { ...globalState },
+      scopes: scopeSnapshots,
+      handlers: Object.keys(handlers),
+      container,
+    };
+  }
+
   // =========================================================================
   // PUBLIC API
   // =========================================================================
 
-  return {
+  const app = {
     // Global state
     setState,
     getState,
     deleteState,
+    patchState,
+    watch,
+    subscribe,
 
     // Local scope
     createScope,
     getScope,
 
+    // Forms
+    form,
+
+    // Persistence
+    persist,
+
     // Global events
     on,
     off,
+    handler,
+
+    // Two-way binding
+    parser,
 
     // Lifecycle
     mount,
+    hydrate,
     destroy,
 
+    // Server-side rendering
+    renderToString,
+    serializeState,
+
     // Template
     html,
+    htmlString,
+    raw,
+    unsafeHTML: raw,
+    escape: escapeHTML,
+
+    // Errors
+    onError,
+    reportError,
 
-    // Safe timers
-    safeSetInterval,
-    safeClearInterval,
-    safeSetTimeout,
-    safeClearTimeout,
+    // Plugins (safe timers and critical CSS add their methods via use())
+    use,
 
-    // Critical CSS
-    criticalCSS,
-    criticalStylesheet,
+    // Debugging
+    inspect,
   };
+
+  // Built-in plugins
+  use(safeTimersPlugin);
+  use(criticalCSSPlugin);
+
+  return app;
 }
 
 export { createApp };
@@ -0,0 +1,96 @@
+'use strict';
+
+/**
+ * lib/bind.js — Two-way binding between form elements and state (data-bind)
+ *
+ *   <input data-bind="text" />                  → key of the nearest data-scope
+ *   <input data-bind="todoInput.text" />        → key of a named scope
+ *   <input data-bind="phone_name" />            → global key (no data-scope around it)
+ *   <input data-bind="age|number" />            → parsers, applied left to right
+ *
+ * How each element maps to state:
+ *   text inputs, textarea   → string value, synced on "input"
+ *   checkbox                → boolean (or, bound to an array, adds/removes its value), on "change"
+ *   radio                   → the checked radio's value, on "change"
+ *   select                  → selected value (array of values with `multiple`), on "change"
+ *
+ * Parsers turn the element's string value into the state value (and are used
+ * to compare state with what the element shows). Scope/parser lookup lives in
+ * act.js; this module only reads and writes elements.
+ *
+ * Usage (in act.js):
+ *   import { parseBindAttr, bindEventType, readBoundValue, writeBoundValue } from './bind.js';
+ */
+
+/**
+ * Split a data-bind attribute into the state path and parser names.
+ * @param {string} attr - e.g. "todoInput.text" or "phone_input|phone".
+ * @returns {{path: string, pipes: string[]}}
+ */
+export function parseBindAttr(attr) {
+  const [path, ...pipes] = attr.split('|').map((part) => part.trim());
+  return { path, pipes: pipes.filter(Boolean) };
+}
+
+/** Whether an element is a checkbox or radio input. */
+function isCheckable(el) {
+  return el.type === 'checkbox' || el.type === 'radio';
+}
+
+/**
+ * The DOM event that carries a bound element's changes.
+ * @param {HTMLElement} el - Bound element.
+ * @returns {"input"|"change"}
+ */
+export function bindEventType(el) {
+  return el.tagName === 'SELECT' || isCheckable(el) ? 'change' : 'input';
+}
+
+/**
+ * Read the state value an element currently represents.
+ * @param {HTMLElement} el - Bound element.
+ * @param {*} current - Current state value (checkbox groups update this array).
+ * @param {Function} parse - (string) => value.
+ * @returns {*} New state value.
+ */
+export function readBoundValue(el, current, parse) {
+  if (el.type === 'checkbox') {
+    if (!Array.isArray(current)) return el.checked;
+    const value = parse(el.value);
+    const others = current.filter((v) => !Object.is(v, value));
+    return el.checked ? [...others, value] : others;
+  }
+  if (el.tagName === 'SELECT' && el.multiple) {
+    return [...el.selectedOptions].map((option) => parse(option.value));
+  }
+  return parse(el.value);
+}
+
+/**
+ * Make an element show a state value. Text is only rewritten when it doesn't
+ * already parse to that value, so typing "1." into a |number field isn't undone.
+ * @param {HTMLElement} el - Bound element.
+ * @param {*} value - State value.
+ * @param {Function} parse - (string) => value.
+ */
+export function writeBoundValue(el, value, parse) {
+  if (isCheckable(el)) {
+    const checked =
+      el.type === 'checkbox' && !Array.isArray(value)
+        ? Boolean(value)
+        : [].concat(value).some((v) => Object.is(v, parse(el.value)));
+    if (el.checked !== checked) el.checked = checked;
+    return;
+  }
+  if (el.tagName === 'SELECT' && el.multiple) {
+    const selected = Array.isArray(value) ? value : [];
+    for (const option of el.options) {
+      const on = selected.some((v) => Object.is(v, parse(option.value)));
+      if (option.selected !== on) option.selected = on;
+    }
+    return;
+  }
+  if (Object.is(parse(el.value), value)) return;
+  const text = value === null || value === undefined ? '' : String(value);
+  if (el.value !== text) el.value = text;
+}
@@ -7,9 +7,16 @@
  * What it does:
  *   1. Walks the JS module graph from app.js (topological sort)
  *      - CSS files imported via `with { type: "css" }` are auto-discovered
+ *      - Dynamic `import("./x.js")` calls are NOT followed — each becomes a chunk
  *   2. Strips ES module syntax → single IIFE → dist/bundle.js
- *   3. Copies all discovered CSS files to dist/ (preserving structure)
- *   4. Transforms index.html generically → dist/index.html
+ *   3. Emits one chunk per dynamically imported module → dist/chunks/<path>.js
+ *      - A chunk holds that module and its deps not already in bundle.js
+ *      - `import("./x.js")` is rewritten to a loader that injects the chunk's
+ *        <script> and resolves with its exports (like a module namespace)
+ *      - Named imports a chunk takes from bundle.js modules are read from a
+ *        shared export table (window.__act.shared) — default imports are not
+ *   4. Copies all discovered CSS files to dist/ (preserving structure)
+ *   5. Transforms index.html generically → dist/index.html
  *      - preload links  → regular <link rel="stylesheet">
  *      - <noscript>     → removed
  *      - <script module> → <script src="bundle.js">
@@ -30,11 +37,36 @@ const DIST = path.join(ROOT, 'dist');
 const visited            = new Set();
 const orderedModules     = []; // topological order, filled by walk()
 const discoveredCSSFiles = []; // auto-collected from CSS module script imports
+const dynamicEntries     = []; // auto-collected from import("./x.js") — one chunk each
+const chunks             = []; // { file, modules, code }, filled by bundleChunks()
+
+// import("./x.js") — relative specifiers only, as a call expression
+const DYNAMIC_IMPORT_RE = /\bimport\(\s*['"](\.[^'"]+)['"]\s*\)/g;
+
+/** True if the match at `index` sits on a comment line (JSDoc examples etc.). */
+function inCommentLine(code, index) {
+  const lineStart = code.lastIndexOf('\n', index - 1) + 1;
+  return /^\s*(\*|\/\/|\/\*)/.test(code.slice(lineStart, index));
+}
+
+/** Resolve a relative JS specifier to an existing file, or null. */
+function resolveJS(specifier, fromFile) {
+  const resolved = path.resolve(path.dirname(fromFile), specifier);
+  if (fs.existsSync(resolved)) return resolved;
+  if (fs.existsSync(resolved + '.js')) return resolved + '.js';
+  return null;
+}
+
+/** dist-relative path of the chunk emitted for a dynamically imported module. */
+function chunkName(absPath) {
+  return 'chunks/' + path.relative(ROOT, absPath).split(path.sep).join('/');
+}
 
 /**
  * Parse one file's imports.
- * - JS imports  → resolved absolute paths (for recursive walk)
- * - CSS imports → pushed into discoveredCSSFiles (for copy + HTML injection)
+ * - JS imports      → resolved absolute paths (for recursive walk)
+ * - CSS imports     → pushed into discoveredCSSFiles (for copy + HTML injection)
+ * - Dynamic imports → pushed into dynamicEntries (each becomes a chunk)
  */
 function parseImports(code, fromFile) {
   const dir       = path.dirname(fromFile);
@@ -56,12 +88,14 @@ function parseImports(code, fromFile) {
       continue;
     }
 
-    let resolved = path.resolve(dir, specifier);
-    if (!fs.existsSync(resolved)) {
-      if (fs.existsSync(resolved + '.js')) resolved = resolved + '.js';
-      else continue;
-    }
-    jsImports.push(resolved);
+    const resolved = resolveJS(specifier, fromFile);
+    if (resolved) jsImports.push(resolved);
+  }
+
+  for (const dm of code.matchAll(DYNAMIC_IMPORT_RE)) {
+    if (inCommentLine(code, dm.index)) continue;
+    const resolved = resolveJS(dm[1], fromFile);
+    if (resolved && !dynamicEntries.includes(resolved)) dynamicEntries.push(resolved);
   }
 
   return jsImports;
@@ -75,8 +109,16 @@ function parseImports(code, fromFile) {
  *   export function F  →  function F
  *   export { x }       →  (removed)
  *   export default     →  const _default =
+ *   import("./x.js")   →  window.__act.import("chunks/x.js")
  */
-function transformCode(code) {
+function transformCode(code, fromFile) {
+  // 0. Dynamic imports → chunk loader (comment lines are left alone)
+  code = code.replace(DYNAMIC_IMPORT_RE, (match, specifier, offset, source) => {
+    if (inCommentLine(source, offset)) return match;
+    const resolved = resolveJS(specifier, fromFile);
+    return resolved ? `window.__act.import('${chunkName(resolved)}')` : match;
+  });
+
   // 1. CSS module script imports → const name = null
   code = code.replace(
     /^import\s+(\w+)\s+from\s+['"][^'"]*\.css['"]\s*with\s*\{[^}]*\}\s*;?[ \t]*\r?\n?/gm,
@@ -106,31 +148,158 @@ function transformCode(code) {
 
 /**
  * Depth-first walk of the module graph (dependency-first / post-order).
- * Side effects: populates orderedModules and discoveredCSSFiles.
+ * Side effects: populates the given module list, discoveredCSSFiles and dynamicEntries.
  */
-function walk(filePath) {
-  if (visited.has(filePath)) return;
-  visited.add(filePath);
+function walk(filePath, seen = visited, modules = orderedModules) {
+  if (seen.has(filePath)) return;
+  seen.add(filePath);
 
   const code = fs.readFileSync(filePath, 'utf8');
   const deps = parseImports(code, filePath);
 
-  for (const dep of deps) walk(dep);
+  for (const dep of deps) walk(dep, seen, modules);
 
-  orderedModules.push({ filePath, code });
+  modules.push({ filePath, code });
 }
 
-/** Bundle all modules into a single IIFE string. */
-function bundle() {
-  walk(path.join(ROOT, 'app.js'));
+/**
+ * Names a module exports, as { exportedName: localName }.
+ * Covers `export function/class/const x` and `export { a, b as c }`;
+ * `export default` is exported as "default" from the local `_default`.
+ */
+function exportedNames(code) {
+  const names = {};
+  for (const m of code.matchAll(/^export\s+(?:async\s+)?(?:function\*?|class|const|let|var)\s+(\w+)/gm)) {
+    names[m[1]] = m[1];
+  }
+  for (const m of code.matchAll(/^export\s*\{([^}]*)\}\s*;?[ \t]*$/gm)) {
+    for (const part of m[1].split(',').map((p) => p.trim()).filter(Boolean)) {
+      const [local, exported = local] = part.split(/\s+as\s+/);
+      names[exported] = local;
+    }
+  }
+  if (/^export\s+default\s+/m.test(code)) names.default = '_default';
+  return names;
+}
+
+/**
+ * Named imports a module takes from modules in `fromModules`,
+ * as { localName: importedName }.
+ */
+function importsFrom(code, filePath, fromModules) {
+  const names = {};
+  const re = /^import\s+\{([^}]*)\}\s*from\s+['"]([^'"]+)['"]/gm;
+  let m;
+  while ((m = re.exec(code)) !== null) {
+    const resolved = m[2].startsWith('.') && resolveJS(m[2], filePath);
+    if (!resolved || !fromModules.has(resolved)) continue;
+    for (const part of m[1].split(',').map((p) => p.trim()).filter(Boolean)) {
+      const [imported, local = imported] = part.split(/\s+as\s+/);
+      names[local] = imported;
+    }
+  }
+  return names;
+}
 
-  const parts = orderedModules.map(({ filePath, code }) => {
+/** Render `// ── file ──` sections for a list of modules. */
+function moduleParts(modules) {
+  return modules.map(({ filePath, code }) => {
     const rel         = path.relative(ROOT, filePath);
-    const transformed = transformCode(code);
+    const transformed = transformCode(code, filePath);
     return `// ── ${rel} ──\n${transformed.trimEnd()}`;
   });
+}
+
+/**
+ * Runtime for chunk loading — prepended to bundle.js when chunks exist.
+ * window.__act.import(src) injects the chunk's <script> once (relative to
+ * bundle.js, so pushState URLs don't break it) and resolves with its exports.
+ */
+const CHUNK_RUNTIME = `const __act = window.__act || (window.__act = { chunks: {}, shared: {} });
+const __actBase = document.currentScript ? document.currentScript.src : location.href;
+const __actLoading = {};
+__act.import = function (src) {
+  if (!__actLoading[src]) {
+    __actLoading[src] = new Promise(function (resolve, reject) {
+      const script = document.createElement('script');
+      script.src = new URL(src, __actBase).href;
+      script.onload = function () {
+        if (__act.chunks[src]) resolve(__act.chunks[src]);
+        else reject(new Error('Chunk ' + src + ' did not register'));
+      };
+      script.onerror = function () {
+        delete __actLoading[src]; // allow a retry
+        reject(new Error('Failed to load chunk ' + src));
+      };
+      document.head.appendChild(script);
+    });
+  }
+  return __actLoading[src];
+};`;
+
+/** Bundle all modules into a single IIFE string. */
+function bundle() {
+  walk(path.join(ROOT, 'app.js'));
+
+  const parts = moduleParts(orderedModules);
+  if (dynamicEntries.length === 0) {
+    return `(function () {\n'use strict';\n\n${parts.join('\n\n')}\n\n})();\n`;
+  }
+
+  // Publish every bundle.js export so chunks can import from it
+  const shared = [];
+  for (const { code } of orderedModules) {
+    for (const [exported, local] of Object.entries(exportedNames(code))) {
+      if (exported !== 'default') shared.push(exported === local ? local : `${exported}: ${local}`);
+    }
+  }
 
-  return `(function () {\n'use strict';\n\n${parts.join('\n\n')}\n\n})();\n`;
+  return (
+    `(function () {\n'use strict';\n\n// ── chunk loader ──\n${CHUNK_RUNTIME}\n\n` +
+    `${parts.join('\n\n')}\n\n` +
+    `Object.assign(__act.shared, { ${shared.join(', ')} });\n\n})();\n`
+  );
+}
+
+/**
+ * Build one chunk per dynamic import entry (entries found inside chunks are
+ * processed too). Modules already in bundle.js are never duplicated; a module
+ * shared by two chunks (but not by bundle.js) is included in both.
+ */
+function bundleChunks() {
+  for (let i = 0; i < dynamicEntries.length; i++) {
+    const entry = dynamicEntries[i];
+    if (visited.has(entry)) {
+      console.warn(`\n  ! ${path.relative(ROOT, entry)} is also imported statically — no chunk emitted`);
+      continue;
+    }
+
+    const modules = [];
+    walk(entry, new Set(visited), modules);
+
+    // Named imports from bundle.js modules → destructured from the shared table
+    const fromMain = {};
+    for (const { filePath, code } of modules) {
+      Object.assign(fromMain, importsFrom(code, filePath, visited));
+    }
+    const params = Object.entries(fromMain)
+      .map(([local, imported]) => (local === imported ? local : `${imported}: ${local}`))
+      .join(', ');
+
+    const file    = chunkName(entry);
+    const exports = Object.entries(exportedNames(fs.readFileSync(entry, 'utf8')))
+      .map(([exported, local]) => (exported === local ? local : `${JSON.stringify(exported)}: ${local}`))
+      .join(', ');
+
+    const code =
+      `(function (shared) {\n'use strict';\n\n` +
+      (params ? `const { ${params} } = shared;\n\n` : '') +
+      `${moduleParts(modules).join('\n\n')}\n\n` +
+      `window.__act.chunks['${file}'] = { ${exports} };\n` +
+      `})(window.__act.shared);\n`;
+
+    chunks.push({ file, modules, code });
+  }
 }
 
 // ─── HTML TRANSFORMER ──────────────────────────────────────────────────────
@@ -207,6 +376,17 @@ function build() {
   fs.writeFileSync(path.join(DIST, 'bundle.js'), bundleJS);
   console.log(`✓  (${orderedModules.length} modules, ${(bundleJS.length / 1024).toFixed(1)} KB)`);
 
+  // 1b. One chunk per dynamically imported module
+  if (dynamicEntries.length > 0) {
+    process.stdout.write('Chunking JS...  ');
+    bundleChunks();
+    for (const chunk of chunks) {
+      mkdirp(path.dirname(path.join(DIST, chunk.file)));
+      fs.writeFileSync(path.join(DIST, chunk.file), chunk.code);
+    }
+    console.log(`✓  (${chunks.length} chunks)`);
+  }
+
   // 2. Copy CSS files discovered from JS imports (preserving directory structure)
   process.stdout.write('Copying CSS...  ');
   for (const absPath of discoveredCSSFiles) {
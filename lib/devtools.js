@@ -0,0 +1,332 @@
+'use strict';
+
+/**
+ * lib/devtools.js — In-page DevTools panel
+ *
+ * An overlay (outside the app container) with four tabs:
+ *   State    — every global key and every scope's keys with live values;
+ *              edit a value (JSON) and press Enter to setState it.
+ *              Computed keys are shown read-only.
+ *   Handlers — the handler registry and the elements bound to each handler
+ *              via data-on; bindings to unregistered handlers are flagged.
+ *   Log      — each state change with its origin handler (from app.subscribe).
+ *   Warnings — Act's [act.js] warnings (missing handlers, bad data-on, ...),
+ *              from onWarn() in lib/warn.js.
+ *
+ * Opt-in and loaded on demand — nothing here ships in the main bundle:
+ *   if (new URLSearchParams(location.search).has("devtools")) {
+ *     import("./lib/devtools.js").then(({ createDevtools }) => createDevtools(app));
+ *   }
+ */
+
+import { escapeHTML } from './html.js';
+import { parseDataOn } from './events.js';
+import { onWarn } from './warn.js';
+
+/** Entries kept in the Log and Warnings tabs (newest first). */
+const MAX_ENTRIES = 200;
+
+const TABS = ['state', 'handlers', 'log', 'warnings'];
+
+const PANEL_CSS = `
+.act-devtools { position: fixed; right: 0; bottom: 0; z-index: 2147483647;
+  width: min(480px, 100vw); max-height: 60vh; display: flex; flex-direction: column;
+  background: #161b22; color: #c9d1d9; border: 1px solid #30363d; border-radius: 8px 0 0 0;
+  font: 12px/1.5 ui-monospace, SFMono-Regular, Menlo, monospace; box-shadow: 0 0 24px #0008; }
+.act-devtools.collapsed { max-height: none; width: auto; }
+.act-devtools.collapsed .act-devtools-body { display: none; }
+.act-devtools-bar { display: flex; gap: 2px; padding: 4px; border-bottom: 1px solid #30363d; }
+.act-devtools-bar button { background: none; border: 0; color: #8b949e; font: inherit;
+  padding: 2px 8px; border-radius: 4px; cursor: pointer; }
+.act-devtools-bar button.active { background: #30363d; color: #e6edf3; }
+.act-devtools-bar .act-devtools-toggle { margin-left: auto; }
+.act-devtools-body { overflow: auto; padding: 6px 8px; }
+.act-devtools h4 { margin: 8px 0 2px; color: #58a6ff; font-size: 12px; }
+.act-devtools-row { display: flex; gap: 6px; align-items: baseline; padding: 1px 0; }
+.act-devtools-key { min-width: 110px; color: #d2a8ff; }
+.act-devtools-row input { flex: 1; min-width: 0; background: #0d1117; color: inherit;
+  border: 1px solid #30363d; border-radius: 3px; font: inherit; padding: 0 4px; }
+.act-devtools-row input[aria-invalid="true"] { border-color: #f85149; }
+.act-devtools-readonly { flex: 1; color: #8b949e; overflow-wrap: anywhere; }
+.act-devtools-muted { color: #6e7681; }
+.act-devtools-flag { color: #f85149; }
+.act-devtools-count { color: #6e7681; margin-left: 4px; }
+`;
+
+/** A value as one line of JSON (falls back to String for functions, cycles, ...). */
+function formatValue(value) {
+  if (value === undefined) return 'undefined';
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+/** Short CSS-like description of an element: tag#id.class[data-id]. */
+function describeElement(el) {
+  let text = el.tagName.toLowerCase();
+  if (el.id) text += `#${el.id}`;
+  if (el.classList.length) text += `.${[...el.classList].join('.')}`;
+  const dataId = el.getAttribute('data-id');
+  if (dataId) text += `[data-id="${dataId}"]`;
+  return text;
+}
+
+/**
+ * Find which elements bind to which handler.
+ * @param {HTMLElement|null} container - The app container.
+ * @returns {Map<string, Array<{el: HTMLElement, spec: string}>>} handler → bindings.
+ */
+function collectBindings(container) {
+  const bound = new Map();
+  if (!container) return bound;
+  const elements = [container, ...container.querySelectorAll('[data-on]')];
+  for (const el of elements) {
+    const attr = el.getAttribute('data-on');
+    if (!attr) continue;
+    for (const binding of parseDataOn(attr)) {
+      if (!bound.has(binding.handler)) bound.set(binding.handler, []);
+      bound.get(binding.handler).push({ el, spec: binding.spec });
+    }
+  }
+  return bound;
+}
+
+/** Time of day with milliseconds, for log entries. */
+function timestamp() {
+  const now = new Date();
+  return `${now.toTimeString().slice(0, 8)}.${String(now.getMilliseconds()).padStart(3, '0')}`;
+}
+
+/**
+ * Open the DevTools panel for an app.
+ *
+ * @param {Object} app - App instance (from createApp).
+ * @param {Object} [options]
+ * @param {string} [options.tab="state"] - Tab shown first.
+ * @param {boolean} [options.collapsed=false] - Start collapsed to the tab bar.
+ * @returns {{refresh: Function, destroy: Function}}
+ *
+ * @example
+ *   const devtools = createDevtools(app, { tab: "log" });
+ *   devtools.destroy(); // remove the panel, stop listening
+ */
+export function createDevtools(app, options = {}) {
+  let tab = TABS.includes(options.tab) ? options.tab : 'state';
+  let collapsed = Boolean(options.collapsed);
+
+  /** State changes, newest first: { time, scope, key, prev, next, origin }. */
+  const changes = [];
+
+  /** Captured [act.js] warnings, newest first: { time, message }. */
+  const warnings = [];
+
+  // ── Panel ──
+  const style = document.createElement('style');
+  style.textContent = PANEL_CSS;
+  document.head.appendChild(style);
+
+  const panel = document.createElement('aside');
+  panel.className = 'act-devtools';
+  panel.setAttribute('aria-label', 'Act DevTools');
+  document.body.appendChild(panel);
+
+  // ── Refresh scheduling ──
+  // Changes arrive in bursts; refresh once, after the app has re-rendered.
+  // While a value is being edited the panel isn't redrawn (it would steal the
+  // input) — it refreshes when the input loses focus.
+  let scheduled = false;
+  let stale = false;
+
+  function isEditing() {
+    return panel.contains(document.activeElement) && document.activeElement.tagName === 'INPUT';
+  }
+
+  function scheduleRefresh() {
+    if (scheduled) return;
+    scheduled = true;
+    setTimeout(() => {
+      scheduled = false;
+      if (isEditing()) stale = true;
+      else refresh();
+    }, 0);
+  }
+
+  // ── Sources ──
+  const unsubscribe = app.subscribe((change) => {
+    changes.unshift({ time: timestamp(), ...change });
+    if (changes.length > MAX_ENTRIES) changes.length = MAX_ENTRIES;
+    scheduleRefresh();
+  });
+
+  // Warnings logged before the panel opened aren't captured — the Handlers
+  // tab still flags bindings to missing handlers.
+  const stopWarnings = onWarn((message) => {
+    warnings.unshift({ time: timestamp(), message });
+    if (warnings.length > MAX_ENTRIES) warnings.length = MAX_ENTRIES;
+    scheduleRefresh();
+  });
+
+  // ── Views ──
+
+  /** One editable (or read-only) key/value row. */
+  function valueRow(scope, key, value, editable) {
+    const text = escapeHTML(formatValue(value));
+    const field = editable
+      ? `<input value="${text}" data-scope-name="${escapeHTML(scope ?? '')}" data-key="${escapeHTML(key)}" spellcheck="false" />`
+      : `<span class="act-devtools-readonly">${text}</span>`;
+    return `<div class="act-devtools-row"><span class="act-devtools-key">${escapeHTML(key)}</span>${field}</div>`;
+  }
+
+  function renderState(snapshot) {
+    let out = '<h4>global</h4>';
+    const globalKeys = Object.keys(snapshot.global);
+    if (globalKeys.length === 0) out += '<div class="act-devtools-muted">(empty)</div>';
+    for (const key of globalKeys) out += valueRow(null, key, snapshot.global[key], true);
+
+    for (const [name, scope] of Object.entries(snapshot.scopes)) {
+      const history = scope.history
+        ? ` <span class="act-devtools-muted">undo:${scope.history.canUndo} redo:${scope.history.canRedo}</span>`
+        : '';
+      out += `<h4>${escapeHTML(name)}${history}</h4>`;
+      const keys = Object.keys(scope.state);
+      if (keys.length === 0 && Object.keys(scope.computed).length === 0) {
+        out += '<div class="act-devtools-muted">(empty)</div>';
+      }
+      for (const key of keys) out += valueRow(name, key, scope.state[key], true);
+      for (const [key, value] of Object.entries(scope.computed)) {
+        out += valueRow(name, `${key} (computed)`, value, false);
+      }
+    }
+    return out;
+  }
+
+  function renderHandlers(snapshot) {
+    const bound = collectBindings(snapshot.container);
+    const names = [...new Set([...snapshot.handlers, ...bound.keys()])].sort();
+    if (names.length === 0) return '<div class="act-devtools-muted">(no handlers)</div>';
+
+    let out = '';
+    for (const name of names) {
+      const registered = snapshot.handlers.includes(name);
+      const bindings = bound.get(name) || [];
+      const flag = registered ? '' : ' <span class="act-devtools-flag">not registered</span>';
+      const count = `<span class="act-devtools-count">${bindings.length} bound</span>`;
+      out += `<h4>${escapeHTML(name)}${count}${flag}</h4>`;
+      if (bindings.length === 0) out += '<div class="act-devtools-muted">(no elements)</div>';
+      for (const { el, spec } of bindings) {
+        out += `<div class="act-devtools-row"><span class="act-devtools-key">${escapeHTML(spec)}</span><span class="act-devtools-readonly">${escapeHTML(describeElement(el))}</span></div>`;
+      }
+    }
+    return out;
+  }
+
+  function renderLog() {
+    if (changes.length === 0) return '<div class="act-devtools-muted">(no changes yet)</div>';
+    return changes
+      .map(({ time, scope, key, prev, next, origin }) => {
+        const target = scope === null ? key : `${scope}.${key}`;
+        const from = origin ? escapeHTML(origin) : '<span class="act-devtools-muted">(code)</span>';
+        return `<div class="act-devtools-row"><span class="act-devtools-muted">${time}</span><span>${from} → <span class="act-devtools-key">${escapeHTML(target)}</span></span></div>
+          <div class="act-devtools-row act-devtools-readonly">${escapeHTML(formatValue(prev))} → ${escapeHTML(formatValue(next))}</div>`;
+      })
+      .join('');
+  }
+
+  function renderWarnings() {
+    if (warnings.length === 0) return '<div class="act-devtools-muted">(no warnings)</div>';
+    return warnings
+      .map(({ time, message }) => `<div class="act-devtools-row"><span class="act-devtools-muted">${time}</span><span class="act-devtools-flag">${escapeHTML(message)}</span></div>`)
+      .join('');
+  }
+
+  /** Redraw the panel from a fresh app.inspect() snapshot. */
+  function refresh() {
+    stale = false;
+    const snapshot = app.inspect();
+    const body = {
+      state: () => renderState(snapshot),
+      handlers: () => renderHandlers(snapshot),
+      log: renderLog,
+      warnings: renderWarnings,
+    }[tab]();
+
+    const tabs = TABS.map((name) => {
+      const label = name === 'warnings' && warnings.length ? `warnings (${warnings.length})` : name;
+      return `<button data-tab="${name}" class="${name === tab ? 'active' : ''}">${label}</button>`;
+    }).join('');
+
+    panel.classList.toggle('collapsed', collapsed);
+    panel.innerHTML = `
+      <div class="act-devtools-bar">${tabs}<button class="act-devtools-toggle" data-toggle>${collapsed ? '▴' : '▾'}</button></div>
+      <div class="act-devtools-body">${body}</div>`;
+  }
+
+  // ── Interaction ──
+
+  function onClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+    if (button.hasAttribute('data-toggle')) collapsed = !collapsed;
+    else if (button.dataset.tab) tab = button.dataset.tab;
+    refresh();
+  }
+
+  /** Enter in a value input: parse it as JSON and write it to state. */
+  function onKeydown(e) {
+    const input = e.target;
+    if (input.tagName !== 'INPUT') return;
+    if (e.key === 'Escape') {
+      input.blur();
+      return;
+    }
+    if (e.key !== 'Enter') return;
+
+    let value;
+    try {
+      value = input.value.trim() === 'undefined' ? undefined : JSON.parse(input.value);
+    } catch (err) {
+      input.setAttribute('aria-invalid', 'true');
+      input.title = `Not valid JSON: ${err.message}`;
+      return;
+    }
+    input.removeAttribute('aria-invalid');
+    input.title = '';
+
+    const { key, scopeName } = input.dataset;
+    const target = scopeName ? app.getScope(scopeName) : app;
+    if (!target) return;
+    if (value === undefined) target.deleteState(key);
+    else target.setState(key, value);
+    input.blur();
+  }
+
+  function onFocusOut() {
+    // Wait for focus to settle (moving between inputs keeps editing)
+    setTimeout(() => {
+      if (stale && !isEditing()) refresh();
+    }, 0);
+  }
+
+  panel.addEventListener('click', onClick);
+  panel.addEventListener('keydown', onKeydown);
+  panel.addEventListener('focusout', onFocusOut);
+
+  refresh();
+
+  return {
+    refresh,
+
+    /** Remove the panel and stop listening to the app. */
+    destroy() {
+      unsubscribe();
+      stopWarnings();
+      panel.removeEventListener('click', onClick);
+      panel.removeEventListener('keydown', onKeydown);
+      panel.removeEventListener('focusout', onFocusOut);
+      panel.remove();
+      style.remove();
+    },
+  };
+}
@@ -8,13 +8,17 @@
  *   - Attribute additions / removals / updates
  *   - Node insertions and removals
  *   - Tag replacements (different element types)
+ *   - Keyed moves — children carrying a data-key attribute are matched by key
+ *     instead of by position, so reordering or deleting list items moves or
+ *     removes exactly those nodes (element identity and transitions survive)
  *
  * The .value property on inputs is synced only when it actually differs,
  * so the cursor is never reset while the user is typing.
  *
  * Usage (in act.js):
- *   import { reconcileChildren } from './diff.js';
+ *   import { reconcileChildren, patch } from './diff.js';
  *   reconcileChildren(container, newContentFragment);
+ *   patch(rootEl.parentNode, rootEl, newRootEl); // one component's subtree
  */
 
 /** Sync attributes from newEl onto oldEl. */
@@ -36,41 +40,191 @@ function syncAttrs(oldEl, newEl) {
   }
 }
 
-/** Recursively diff and patch two nodes in place. */
-function patch(oldParent, oldNode, newNode) {
+/**
+ * Recursively diff and patch two nodes in place.
+ * Exported for partial re-renders (a single component's root element).
+ *
+ * @param {Node} oldParent - Parent of oldNode (needed when it must be replaced).
+ * @param {Node} oldNode - Live node to update.
+ * @param {Node} newNode - Freshly rendered node to match.
+ * @returns {Node} The node now in oldNode's place (oldNode, or its replacement).
+ */
+export function patch(oldParent, oldNode, newNode) {
   // Different node types (e.g. element vs text) → replace entirely
   if (oldNode.nodeType !== newNode.nodeType) {
-    oldParent.replaceChild(newNode.cloneNode(true), oldNode);
-    return;
+    return replaceNode(oldParent, oldNode, newNode);
   }
   // Text node → update content if changed
   if (newNode.nodeType === Node.TEXT_NODE) {
     if (oldNode.textContent !== newNode.textContent)
       oldNode.textContent = newNode.textContent;
-    return;
+    return oldNode;
   }
   // Non-element node (comment, processing instruction, etc.) — leave as-is
-  if (newNode.nodeType !== Node.ELEMENT_NODE) return;
+  if (newNode.nodeType !== Node.ELEMENT_NODE) return oldNode;
   // Element: different tag → replace entirely
   if (oldNode.nodeName !== newNode.nodeName) {
-    oldParent.replaceChild(newNode.cloneNode(true), oldNode);
-    return;
+    return replaceNode(oldParent, oldNode, newNode);
   }
   // Element: same tag → sync attributes, then recurse into children
   syncAttrs(oldNode, newNode);
   reconcileChildren(oldNode, newNode);
+  return oldNode;
+}
+
+/** Replace oldNode with a copy of newNode; returns the copy. */
+function replaceNode(oldParent, oldNode, newNode) {
+  const copy = newNode.cloneNode(true);
+  oldParent.replaceChild(copy, oldNode);
+  return copy;
+}
+
+/** Read a child's data-key, or null for text nodes and unkeyed elements. */
+function getKey(node) {
+  return node.nodeType === Node.ELEMENT_NODE ? node.getAttribute('data-key') : null;
+}
+
+/**
+ * Positions (in `sequence`) of one longest strictly increasing subsequence.
+ * Used to find the keyed nodes that can stay where they are.
+ * @param {number[]} sequence - Old indices of matched nodes, in new order.
+ * @returns {Set<number>}
+ */
+function longestIncreasing(sequence) {
+  const tails = []; // tails[k] = position ending the best run of length k + 1
+  const previous = new Array(sequence.length);
+  for (let i = 0; i < sequence.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sequence[tails[mid]] < sequence[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+  const keep = new Set();
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) keep.add(i);
+  return keep;
+}
+
+/**
+ * Keyed variant of reconcileChildren.
+ * Keyed children are matched by data-key wherever they sit in the old list;
+ * unkeyed siblings (including whitespace text) fall back to matching in order.
+ * Old nodes without a match are removed first. Of the matched ones, the
+ * longest run already in the right relative order stays put and only the
+ * rest are moved — deleting the first of 1000 rows is one removal, and
+ * moving one row to another place moves just that row.
+ */
+function reconcileKeyed(oldEl, oldCh, newCh) {
+  const oldKeyed   = new Map();
+  const oldUnkeyed = [];
+  for (const child of oldCh) {
+    const key = getKey(child);
+    if (key !== null && !oldKeyed.has(key)) oldKeyed.set(key, child);
+    else oldUnkeyed.push(child);
+  }
+
+  // Unkeyed nodes (e.g. the whitespace between rows) are matched by their
+  // slot — the keyed sibling before them — so deleting a row doesn't shift
+  // every following text node; leftovers are then paired in order.
+  const oldSlots = new Map();
+  unkeyedSlots(oldCh, new Set(oldUnkeyed)).forEach((slot, node) => oldSlots.set(slot, node));
+  const newSlots = unkeyedSlots(newCh, new Set(newCh.filter((child) => getKey(child) === null)));
+
+  // Pair every new child with its old node (or null for a new node)
+  const matches = newCh.map((newChild) => {
+    const key = getKey(newChild);
+    if (key !== null && oldKeyed.has(key)) {
+      const match = oldKeyed.get(key);
+      oldKeyed.delete(key);
+      return match;
+    }
+    if (key !== null) return null;
+    const match = oldSlots.get(newSlots.get(newChild)) ?? null;
+    oldSlots.delete(newSlots.get(newChild));
+    return match;
+  });
+  const leftover = [...oldSlots.values()];
+  matches.forEach((match, i) => {
+    if (!match && getKey(newCh[i]) === null && leftover.length) matches[i] = leftover.shift();
+  });
+
+  // Anything left unmatched is no longer in the new tree
+  for (const node of oldKeyed.values()) oldEl.removeChild(node);
+  for (const node of leftover) oldEl.removeChild(node);
+
+  // Matched nodes in the longest increasing run of old positions stay put
+  const oldIndex = new Map(oldCh.map((node, i) => [node, i]));
+  const matchedPositions = [];
+  const sequence = [];
+  matches.forEach((match, i) => {
+    if (!match) return;
+    matchedPositions.push(i);
+    sequence.push(oldIndex.get(match));
+  });
+  const stay = new Set([...longestIncreasing(sequence)].map((k) => matchedPositions[k]));
+
+  // Walk backwards so the node after each position is already final
+  let next = null;
+  for (let i = newCh.length - 1; i >= 0; i--) {
+    const match = matches[i];
+    if (!match) {
+      next = oldEl.insertBefore(newCh[i].cloneNode(true), next);
+      continue;
+    }
+    if (!stay.has(i)) oldEl.insertBefore(match, next);
+    next = patch(oldEl, match, newCh[i]); // may have replaced the node
+  }
+}
+
+/**
+ * Slot of each unkeyed node in a child list: the key of the nearest keyed
+ * sibling before it plus its offset from there ("3#1:0" = first after key 3).
+ * @param {Node[]} children - Child list.
+ * @param {Set<Node>} unkeyed - The children matched by slot (the rest anchor).
+ * @returns {Map<Node, string>} node → slot
+ */
+function unkeyedSlots(children, unkeyed) {
+  const slots = new Map();
+  const seen = new Map(); // key → occurrences so far (duplicate keys get their own slots)
+  let anchor = '';
+  let offset = 0;
+  for (const child of children) {
+    if (unkeyed.has(child)) {
+      slots.set(child, `${anchor}:${offset++}`);
+    } else {
+      const key = getKey(child);
+      seen.set(key, (seen.get(key) ?? 0) + 1);
+      anchor = `${key}#${seen.get(key)}`;
+      offset = 0;
+    }
+  }
+  return slots;
 }
 
 /**
  * Align the child node lists of two elements.
  * This is the entry point called from act.js on every re-render.
+ * Lists whose children carry data-key attributes are reconciled by key,
+ * everything else by index.
  *
  * @param {Node} oldEl - Existing DOM node (or container).
  * @param {Node} newEl - New DOM node (or DocumentFragment) with desired content.
+ *
+ * @example
+ *   // In a template — each <li> keeps its identity across re-renders:
+ *   app.html`<ul>${items.map((item) => app.htmlString`<li data-key="${item.id}">${item.text}</li>`)}</ul>`
  */
 export function reconcileChildren(oldEl, newEl) {
   const oldCh = [...oldEl.childNodes];
   const newCh = [...newEl.childNodes];
+  if (newCh.some((n) => getKey(n) !== null) || oldCh.some((n) => getKey(n) !== null)) {
+    reconcileKeyed(oldEl, oldCh, newCh);
+    return;
+  }
   const len = Math.max(oldCh.length, newCh.length);
   for (let i = 0; i < len; i++) {
     if (i >= oldCh.length) {
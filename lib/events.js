@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * lib/events.js — data-on binding syntax
+ *
+ * A data-on attribute maps events to handler names (JSON object). The event
+ * name can carry dot-separated modifiers:
+ *
+ *   data-on='{"click.prevent":"form:save", "keydown.enter":"todoInput:add"}'
+ *
+ *   .prevent        → e.preventDefault() before the handler runs
+ *   .stop           → e.stopPropagation() — outer data-on handlers (and listeners
+ *                     outside the app) don't run; the target's own listeners already have
+ *   .self           → only when the event started on this element itself
+ *   .once           → at most once per element
+ *   .passive        → listen with { passive: true } (e.g. scroll, touchmove)
+ *   .debounce[.ms]  → run after no event for ms (default 250)
+ *   .throttle[.ms]  → run at most once per ms (default 250)
+ *   .ctrl .shift .alt .meta → only while that key is held
+ *   .enter .esc .space .tab .up .down .left .right .delete .backspace,
+ *   or any other KeyboardEvent.key (lowercased) → only for that key
+ *
+ * A handler name can carry arguments, serialized by scope.handler(name, ...args):
+ *   "todoList:toggle?%5B3%5D" → handlers["todoList:toggle"](event, 3)
+ * They are JSON-encoded, so numbers, booleans, strings, null, arrays and plain
+ * objects arrive with their types; URI-encoding keeps them safe inside the
+ * data-on JSON string and the HTML attribute.
+ *
+ * Usage (in act.js):
+ *   import { parseDataOn, matchesKeys, handlerRef, decodeHandlerArgs, needsCapture } from './events.js';
+ */
+
+import { warn } from './warn.js';
+
+/**
+ * Events that don't bubble — delegation has to catch them in the capture
+ * phase on the container. Everything else is delegated in the bubble phase,
+ * so the target's own listeners run first and .stop behaves as expected.
+ */
+const NON_BUBBLING = new Set([
+  'focus', 'blur', 'scroll', 'load', 'error', 'mouseenter', 'mouseleave',
+  'pointerenter', 'pointerleave', 'toggle', 'invalid',
+]);
+
+/**
+ * Whether the delegated listener for an event type must use the capture phase.
+ * @param {string} type - Event type.
+ * @returns {boolean}
+ */
+export function needsCapture(type) {
+  return NON_BUBBLING.has(type);
+}
+
+/** Modifiers that are flags (everything else is a timing or key modifier). */
+const FLAG_MODIFIERS = ['prevent', 'stop', 'self', 'once', 'passive'];
+
+/** Modifier keys that must be held (.ctrl → e.ctrlKey). */
+const SYSTEM_KEYS = ['ctrl', 'shift', 'alt', 'meta'];
+
+/** Key modifier → KeyboardEvent.key value(s). */
+const KEY_ALIASES = {
+  enter: ['Enter'],
+  esc: ['Escape'],
+  escape: ['Escape'],
+  space: [' ', 'Spacebar'],
+  tab: ['Tab'],
+  up: ['ArrowUp'],
+  down: ['ArrowDown'],
+  left: ['ArrowLeft'],
+  right: ['ArrowRight'],
+  delete: ['Delete', 'Backspace'],
+  backspace: ['Backspace'],
+};
+
+/** Default wait for .debounce / .throttle without a number. */
+const DEFAULT_WAIT = 250;
+
+/**
+ * Parse one data-on key ("input.debounce.300") into an event type and modifiers.
+ * @param {string} spec - Event name with optional modifiers.
+ * @returns {{type: string, passive: boolean, modifiers: Object}}
+ *
+ * @example
+ *   parseEventSpec("keydown.ctrl.enter");
+ *   // → { type: "keydown", passive: false,
+ *   //     modifiers: { keys: ["enter"], system: ["ctrl"], ... } }
+ */
+export function parseEventSpec(spec) {
+  const [type, ...parts] = spec.split('.');
+  const modifiers = {
+    prevent: false,
+    stop: false,
+    self: false,
+    once: false,
+    passive: false,
+    debounce: 0,
+    throttle: 0,
+    keys: [],
+    system: [],
+  };
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    if (FLAG_MODIFIERS.includes(part)) {
+      modifiers[part] = true;
+    } else if (part === 'debounce' || part === 'throttle') {
+      const ms = Number(parts[i + 1]);
+      if (parts[i + 1] !== undefined && Number.isFinite(ms)) {
+        modifiers[part] = ms;
+        i++;
+      } else {
+        modifiers[part] = DEFAULT_WAIT;
+      }
+    } else if (SYSTEM_KEYS.includes(part)) {
+      modifiers.system.push(part);
+    } else if (part) {
+      modifiers.keys.push(part.toLowerCase());
+    }
+  }
+
+  if (modifiers.passive && modifiers.prevent) {
+    warn(`[act.js] "${spec}": .prevent has no effect on a passive listener.`);
+  }
+  return { type, passive: modifiers.passive, modifiers };
+}
+
+/**
+ * Build a handler reference for data-on: the name, plus encoded arguments if any.
+ * The arguments contain no quotes of either kind (encodeURIComponent leaves
+ * "'" alone, so it is encoded too), so the ref is safe in a single- or
+ * double-quoted attribute.
+ * @param {string} name - Registered handler name (e.g. "todoList:toggle").
+ * @param {Array} [args] - JSON-serializable arguments.
+ * @returns {string} e.g. "todoList:toggle" or "todoList:toggle?%5B3%5D".
+ *
+ * @example
+ *   handlerRef("todoList:toggle", [3]);       // → "todoList:toggle?%5B3%5D"
+ *   handlerRef("todoList:rename", ["Bob's"]); // → "todoList:rename?%5B%22Bob%27s%22%5D"
+ */
+export function handlerRef(name, args = []) {
+  if (args.length === 0) return name;
+  return `${name}?${encodeURIComponent(JSON.stringify(args)).replace(/'/g, '%27')}`;
+}
+
+/**
+ * Split a handler reference into its name and (still encoded) arguments.
+ * @param {string} ref - From handlerRef().
+ * @returns {{handler: string, args: string|null}}
+ */
+function parseHandlerRef(ref) {
+  const i = ref.indexOf('?');
+  if (i === -1) return { handler: ref, args: null };
+  return { handler: ref.slice(0, i), args: ref.slice(i + 1) };
+}
+
+/**
+ * Decode the arguments of a binding. A fresh copy each call, so a handler
+ * mutating an object argument can't affect the next event.
+ * @param {string|null} args - Encoded arguments from the binding.
+ * @returns {Array} Decoded arguments ([] if none).
+ */
+export function decodeHandlerArgs(args) {
+  if (args === null) return [];
+  return JSON.parse(decodeURIComponent(args));
+}
+
+/**
+ * Parsed event specs ("click.stop", "keydown.enter") — a small, fixed set per
+ * app. Whole attributes aren't cached: with handler arguments every row's
+ * data-on text is different ("todoList:toggle?%5B3%5D"), so such a cache
+ * would grow with every row ever rendered.
+ */
+const specCache = new Map();
+
+/**
+ * Parse a data-on attribute into a list of bindings.
+ * @param {string} attr - data-on attribute value (JSON object).
+ * @returns {Array<{spec: string, type: string, passive: boolean, modifiers: Object, handler: string, args: string|null}>}
+ *   Empty (with a warning) if the attribute isn't valid JSON.
+ */
+export function parseDataOn(attr) {
+  let map;
+  try {
+    map = JSON.parse(attr);
+  } catch {
+    warn(`[act.js] Invalid data-on attribute (expected JSON): ${attr}`);
+    map = {};
+  }
+  return Object.entries(map).map(([spec, ref]) => {
+    if (!specCache.has(spec)) specCache.set(spec, parseEventSpec(spec));
+    return { spec, ...parseHandlerRef(String(ref)), ...specCache.get(spec) };
+  });
+}
+
+/**
+ * Check an event against a binding's key and modifier-key filters.
+ * @param {Object} modifiers - From parseEventSpec().
+ * @param {Event} e - The DOM event.
+ * @returns {boolean} true if the handler should run.
+ */
+export function matchesKeys(modifiers, e) {
+  for (const key of modifiers.system) {
+    if (!e[`${key}Key`]) return false;
+  }
+  if (modifiers.keys.length === 0) return true;
+  if (typeof e.key !== 'string') return false;
+  return modifiers.keys.some((key) =>
+    KEY_ALIASES[key] ? KEY_ALIASES[key].includes(e.key) : e.key.toLowerCase() === key
+  );
+}
@@ -0,0 +1,347 @@
+'use strict';
+
+/**
+ * lib/form.js — Forms with declarative validation
+ *
+ * app.form(name, schema) creates a scope named `name` holding one key per
+ * field, so inputs bind to it directly (data-bind="name" inside
+ * data-scope="<form name>"), plus bookkeeping keys:
+ *
+ *   $errors     { field: message }  ("__all__" for non-field errors)
+ *   $touched    { field: true }     (blurred, or the form was submitted)
+ *   $pending    { field: true }     (an async validator is running)
+ *   $dirty      { field: true }     (computed — value differs from initial)
+ *   $submitting boolean             (schema.submit is running)
+ *   $submitted  boolean             (last submit succeeded; cleared on the next edit)
+ *
+ * Validators are (value, values) => message | falsy, or a Promise of one.
+ * A field is validated when it is touched, on every change after that,
+ * and on submit. Server errors in Django's format ({ field: ["msg"] } or
+ * form.errors.get_json_data()) map onto fields via form.setErrors(payload).
+ *
+ * Usage (in a component):
+ *   const form = app.form("contact", {
+ *     fields: {
+ *       email: { initial: "", validate: [validators.required(), validators.pattern(/@/)] },
+ *     },
+ *     async submit(values) {
+ *       const res = await fetch("/contact/", { method: "POST", body: JSON.stringify(values) });
+ *       if (!res.ok) throw { errors: await res.json() }; // mapped onto fields
+ *     },
+ *   });
+ */
+
+/**
+ * Common validators. Each takes an optional message and returns a validator.
+ *
+ * @example
+ *   { validate: [validators.required("Please enter a name."), validators.maxLength(80)] }
+ */
+export const validators = {
+  required(message = 'This field is required.') {
+    return (value) => {
+      if (value === null || value === undefined) return message;
+      if (Array.isArray(value)) return value.length ? null : message;
+      return String(value).trim() === '' ? message : null;
+    };
+  },
+
+  minLength(length, message = `Enter at least ${length} characters.`) {
+    return (value) => (String(value ?? '').length < length ? message : null);
+  },
+
+  maxLength(length, message = `Enter at most ${length} characters.`) {
+    return (value) => (String(value ?? '').length > length ? message : null);
+  },
+
+  /** Empty values pass — combine with required() to forbid them. */
+  pattern(regex, message = 'Enter a valid value.') {
+    return (value) => (value && !regex.test(String(value)) ? message : null);
+  },
+};
+
+/** First message of a Django error entry: "msg", ["msg"] or [{ message }]. */
+function firstMessage(entry) {
+  const first = Array.isArray(entry) ? entry[0] : entry;
+  if (first && typeof first === 'object') return first.message ?? '';
+  return first ? String(first) : '';
+}
+
+/**
+ * Normalize a server error payload into { field: message }.
+ * Accepts Django's form.errors (as JSON), form.errors.get_json_data(), or
+ * either wrapped in { errors: ... }.
+ * @param {Object} payload
+ * @returns {Object} field → first message.
+ *
+ * @example
+ *   normalizeErrors({ phone: ["Enter a valid phone number."], __all__: ["Duplicate contact."] });
+ *   // → { phone: "Enter a valid phone number.", __all__: "Duplicate contact." }
+ */
+export function normalizeErrors(payload) {
+  const source = payload && payload.errors && typeof payload.errors === 'object'
+    ? payload.errors
+    : payload || {};
+  const errors = {};
+  for (const [field, entry] of Object.entries(source)) {
+    const message = firstMessage(entry);
+    if (message) errors[field] = message;
+  }
+  return errors;
+}
+
+/**
+ * Create a form on top of a scope. Called by app.form() — use that instead.
+ *
+ * @param {Object} app - App instance.
+ * @param {string} name - Form (and scope) name.
+ * @param {Object} schema
+ * @param {Object} schema.fields - field → { initial, validate: fn | fn[] }.
+ * @param {Function} [schema.validate] - (values) => { field: message } — cross-field checks (may be async).
+ * @param {Function} [schema.submit] - (values, form) => void | Promise. Throw
+ *   (or reject with) { errors: payload } to map server errors onto fields.
+ * @returns {Object} The form API.
+ */
+export function createForm(app, name, schema) {
+  const fields = schema.fields || {};
+  const fieldNames = Object.keys(fields);
+  const scope = app.createScope(name);
+
+  const initialValue = (field) => fields[field].initial ?? '';
+
+  // ── Initial State ──
+  for (const field of fieldNames) scope.setState(field, initialValue(field));
+  scope.setState('$errors', {});
+  scope.setState('$touched', {});
+  scope.setState('$pending', {});
+  scope.setState('$submitting', false);
+  scope.setState('$submitted', false);
+
+  scope.computed('$dirty', () => {
+    const dirty = {};
+    for (const field of fieldNames) {
+      if (!Object.is(scope.getState(field), initialValue(field))) dirty[field] = true;
+    }
+    return dirty;
+  });
+
+  /** Latest validation run per field — results of older async runs are dropped. */
+  const runs = {};
+
+  /** Set or clear one entry of an object-valued key ($errors, $touched, $pending). */
+  function setEntry(key, field, value) {
+    const next = { ...scope.getState(key) };
+    if (value) next[field] = value;
+    else delete next[field];
+    scope.setState(key, next);
+  }
+
+  function values() {
+    return Object.fromEntries(fieldNames.map((field) => [field, scope.getState(field)]));
+  }
+
+  /**
+   * Run a field's validators in order; the first message wins.
+   * @returns {Promise<boolean>} Whether the field is valid.
+   */
+  async function validateField(field) {
+    const run = (runs[field] = (runs[field] || 0) + 1);
+    const current = values();
+    let message = null;
+
+    for (const validate of [].concat(fields[field].validate || [])) {
+      let result;
+      try {
+        result = validate(current[field], current);
+      } catch (err) {
+        // A bug in the validator rather than a message — report it, keep the field invalid
+        app.reportError(err, { source: 'validator', scope: name, field });
+        result = 'Validation failed.';
+      }
+      if (result && typeof result.then === 'function') {
+        setEntry('$pending', field, true);
+        try {
+          result = await result;
+        } catch (err) {
+          result = err?.message || 'Validation failed.';
+        }
+        if (runs[field] !== run) return !scope.getState('$errors')[field]; // superseded
+      }
+      if (result) {
+        message = typeof result === 'string' ? result : 'Invalid value.';
+        break;
+      }
+    }
+
+    setEntry('$pending', field, false);
+    setEntry('$errors', field, message);
+    return !message;
+  }
+
+  /**
+   * Validate every field, then schema.validate (cross-field).
+   * @returns {Promise<boolean>} Whether the whole form is valid.
+   */
+  async function validate() {
+    const results = await Promise.all(fieldNames.map(validateField));
+    let valid = results.every(Boolean);
+
+    if (schema.validate) {
+      const extra = normalizeErrors(await schema.validate(values()));
+      for (const [field, message] of Object.entries(extra)) {
+        if (scope.getState('$errors')[field]) continue; // field's own error first
+        setEntry('$errors', field, message);
+        valid = false;
+      }
+    }
+    return valid;
+  }
+
+  /** Mark a field touched and validate it. */
+  function touch(field) {
+    if (!fields[field]) return;
+    setEntry('$touched', field, true);
+    validateField(field);
+  }
+
+  /**
+   * Map server errors onto fields. Errors for unknown fields are shown as
+   * non-field errors ("__all__").
+   * @param {Object} payload - Django-style errors (see normalizeErrors).
+   */
+  function setErrors(payload) {
+    const errors = {};
+    const general = [];
+    for (const [field, message] of Object.entries(normalizeErrors(payload))) {
+      if (fields[field]) errors[field] = message;
+      else general.push(message);
+    }
+    if (general.length) errors.__all__ = general.join(' ');
+    scope.setState('$errors', errors);
+    scope.setState('$touched', {
+      ...scope.getState('$touched'),
+      ...Object.fromEntries(Object.keys(errors).map((field) => [field, true])),
+    });
+  }
+
+  /**
+   * Touch and validate everything, then run schema.submit with the values.
+   * @returns {Promise<boolean>} Whether the form was valid and submitted.
+   */
+  async function submit() {
+    if (scope.getState('$submitting')) return false;
+    scope.setState('$touched', Object.fromEntries(fieldNames.map((f) => [f, true])));
+    setEntry('$errors', '__all__', null);
+    if (!(await validate())) return false;
+    if (!schema.submit) return true;
+
+    scope.setState('$submitting', true);
+    try {
+      await schema.submit(values(), form);
+      scope.setState('$submitted', true);
+      return true;
+    } catch (err) {
+      if (err && err.errors) setErrors(err.errors);
+      else setErrors({ __all__: [err?.message || 'Something went wrong.'] });
+      return false;
+    } finally {
+      scope.setState('$submitting', false);
+    }
+  }
+
+  /** Restore initial values and clear errors, touched and pending flags. */
+  function reset() {
+    for (const field of fieldNames) runs[field] = (runs[field] || 0) + 1;
+    scope.setState('$touched', {});
+    for (const field of fieldNames) scope.setState(field, initialValue(field));
+    scope.setState('$errors', {});
+    scope.setState('$pending', {});
+  }
+
+  // ── Re-validate on change once touched ──
+  for (const field of fieldNames) {
+    scope.watch(field, () => {
+      if (scope.getState('$submitted')) scope.setState('$submitted', false);
+      if (scope.getState('$touched')[field]) validateField(field);
+    });
+  }
+
+  // ── Scoped Handlers ──
+  // <form data-on='{"submit.prevent":"contact:submit"}'>
+  // <input data-bind="email" data-on='{"blur":"${form.handler("touch", "email")}"}' />
+  scope.on('submit', () => submit());
+  scope.on('touch', (e, field) => touch(field));
+  scope.on('reset', () => reset());
+
+  const form = {
+    /** The form's name (also its scope name). */
+    name,
+
+    /** The underlying scope — bind inputs to it, watch it, read it. */
+    scope,
+
+    /** Namespaced handler name for templates: form.handler("submit"). */
+    handler: scope.handler,
+
+    /** @returns {Object} Current values of all fields. */
+    values,
+
+    /** @returns {*} One field's value. */
+    getValue: (field) => scope.getState(field),
+
+    /** Set one field's value (as if the user typed it). */
+    setValue: (field, value) => scope.setState(field, value),
+
+    /** @returns {string} The field's error message, or "" ("__all__" for non-field errors). */
+    error: (field) => scope.getState('$errors')[field] || '',
+
+    /** @returns {Object} All current errors, field → message. */
+    errors: () => scope.getState('$errors'),
+
+    /** @returns {boolean} Whether the field currently has an error. */
+    invalid: (field) => Boolean(scope.getState('$errors')[field]),
+
+    /** @returns {boolean} Whether the field was blurred (or the form submitted). */
+    touched: (field) => Boolean(scope.getState('$touched')[field]),
+
+    /** @returns {boolean} Whether the field differs from its initial value (any field if omitted). */
+    dirty: (field) => {
+      const dirty = scope.getState('$dirty');
+      return field === undefined ? Object.keys(dirty).length > 0 : Boolean(dirty[field]);
+    },
+
+    /** @returns {boolean} Whether an async validator is running (for the field, or any). */
+    pending: (field) => {
+      const pending = scope.getState('$pending');
+      return field === undefined ? Object.keys(pending).length > 0 : Boolean(pending[field]);
+    },
+
+    /** @returns {boolean} Whether schema.submit is running. */
+    submitting: () => scope.getState('$submitting'),
+
+    /** @returns {boolean} Whether the last submit succeeded (until the next edit). */
+    submitted: () => scope.getState('$submitted'),
+
+    /**
+     * Render a field's error message (or nothing).
+     * @param {string} field - Field name, or "__all__".
+     * @returns {Object|string} Safe markup: <p class="field-error">…</p>.
+     */
+    errorFor(field) {
+      const message = form.error(field);
+      return message
+        ? app.htmlString`<p class="field-error" data-error-for="${field}">${message}</p>`
+        : '';
+    },
+
+    touch,
+    validate,
+    validateField,
+    setErrors,
+    clearErrors: () => scope.setState('$errors', {}),
+    submit,
+    reset,
+  };
+
+  return form;
+}
@@ -0,0 +1,164 @@
+'use strict';
+
+/**
+ * lib/history.js — Undo/redo for a scope's state
+ *
+ * Every recorded write is a { key, prev, next } change. Changes made in the
+ * same tick (one event handler, however many setState calls) form a single
+ * history entry; history.group(fn) groups across awaits as well.
+ * undo() writes the entry's prev values back (in reverse order), redo()
+ * re-applies its next values. A new change after an undo drops the redo stack.
+ *
+ * Usage (in act.js):
+ *   import { createHistory } from './history.js';
+ */
+
+/**
+ * Create an undo/redo history. Called by scope.history() — use that instead.
+ *
+ * @param {Object} target
+ * @param {Function} target.apply - (key, value) => void — writes a value back.
+ * @param {Function} target.onChange - Called when canUndo()/canRedo() change.
+ * @param {Object} [options]
+ * @param {number} [options.limit=100] - Max entries kept (oldest are dropped).
+ * @param {string[]} [options.keys] - Only record these keys (default: all).
+ * @returns {Object} { record, undo, redo, canUndo, canRedo, group, clear }
+ */
+export function createHistory(target, options = {}) {
+  const limit = options.limit ?? 100;
+  const keys = options.keys ? new Set(options.keys) : null;
+
+  /** Closed entries (arrays of changes); the last one is undone first. */
+  const past = [];
+  const future = [];
+
+  /** The entry collecting this tick's changes, or null. */
+  let open = null;
+
+  /** > 0 while inside group(fn). */
+  let groupDepth = 0;
+
+  /** True while undo/redo write values back — those writes aren't recorded. */
+  let applying = false;
+
+  let flags = '00';
+
+  /** Tell the target if canUndo/canRedo flipped. */
+  function notify() {
+    const next = `${+canUndo()}${+canRedo()}`;
+    if (next === flags) return;
+    flags = next;
+    target.onChange();
+  }
+
+  /** Close the open entry: drop no-op changes and push it onto the undo stack. */
+  function close() {
+    if (groupDepth > 0 || !open) return;
+    const changes = open.filter((change) => !Object.is(change.prev, change.next));
+    open = null;
+    if (changes.length > 0) {
+      past.push(changes);
+      if (past.length > limit) past.shift();
+    }
+    notify();
+  }
+
+  /**
+   * Record a write. Writes to the same key within one entry are merged
+   * (first prev, last next).
+   */
+  function record(key, prev, next) {
+    if (applying || (keys && !keys.has(key))) return;
+    if (!open) {
+      open = [];
+      if (groupDepth === 0) queueMicrotask(close);
+    }
+    const existing = open.find((change) => change.key === key);
+    if (existing) existing.next = next;
+    else open.push({ key, prev, next });
+    future.length = 0;
+    notify();
+  }
+
+  /** Write a list of values back without recording them. */
+  function applyAll(changes, field) {
+    applying = true;
+    try {
+      for (const change of changes) target.apply(change.key, change[field]);
+    } finally {
+      applying = false;
+    }
+  }
+
+  /**
+   * Revert the last entry.
+   * @returns {boolean} false if there was nothing to undo.
+   */
+  function undo() {
+    close();
+    const changes = past.pop();
+    if (!changes) return false;
+    applyAll([...changes].reverse(), 'prev');
+    future.push(changes);
+    notify();
+    return true;
+  }
+
+  /**
+   * Re-apply the last undone entry.
+   * @returns {boolean} false if there was nothing to redo.
+   */
+  function redo() {
+    close();
+    const changes = future.pop();
+    if (!changes) return false;
+    applyAll(changes, 'next');
+    past.push(changes);
+    notify();
+    return true;
+  }
+
+  function canUndo() {
+    return past.length > 0 || (open !== null && open.length > 0);
+  }
+
+  function canRedo() {
+    return future.length > 0;
+  }
+
+  /**
+   * Record everything fn changes as one entry — also across awaits if fn
+   * returns a promise.
+   * @param {Function} fn - () => void | Promise.
+   * @returns {*} fn's return value.
+   */
+  function group(fn) {
+    groupDepth++;
+    const end = () => {
+      groupDepth--;
+      close();
+    };
+    let result;
+    try {
+      result = fn();
+    } catch (err) {
+      end();
+      throw err;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.finally(end);
+    }
+    end();
+    return result;
+  }
+
+  /** Forget all entries. */
+  function clear() {
+    open = null;
+    past.length = 0;
+    future.length = 0;
+    notify();
+  }
+
+  return { record, undo, redo, canUndo, canRedo, group, clear };
+}
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * lib/html.js — HTML escaping for templates
+ *
+ * Every value interpolated into app.html`...` / app.htmlString`...` is escaped
+ * by default, so user input like `<img src=x onerror=...>` renders as text —
+ * in both text and attribute contexts (quotes are escaped too). A value in
+ * an unquoted attribute (`value=${x}`) is quoted automatically, so it can't
+ * add attributes of its own. Escaping doesn't vet URLs: `href="${url}"`
+ * still accepts a `javascript:` URL — check the scheme of untrusted URLs.
+ *
+ * Values that are passed through untouched:
+ *   - Results of app.html`...` (DocumentFragments / DOM nodes)
+ *   - Results of app.htmlString`...`
+ *   - Strings explicitly marked with raw() / unsafeHTML()
+ *   - Arrays of any of the above (each item is rendered, then joined)
+ *
+ * Usage (in act.js):
+ *   import { htmlString, raw, escapeHTML } from './html.js';
+ */
+
+/** Marker for markup that is already safe and must not be escaped again. */
+class SafeHTML {
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+const ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute.
+ * @param {*} value - Any value (converted to string).
+ * @returns {string} Escaped string.
+ *
+ * @example
+ *   escapeHTML('<b>"hi"</b>'); // → "&lt;b&gt;&quot;hi&quot;&lt;/b&gt;"
+ */
+export function escapeHTML(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ESCAPES[ch]);
+}
+
+/**
+ * Mark a string as trusted markup — it is interpolated without escaping.
+ * Only use this for HTML you control, never for user input.
+ *
+ * @param {string} html - Trusted HTML string.
+ * @returns {SafeHTML} Marked markup.
+ *
+ * @example
+ *   app.html`<div>${app.raw("<em>trusted</em>")}</div>`
+ */
+export function raw(html) {
+  return new SafeHTML(String(html ?? ''));
+}
+
+/**
+ * Check whether a value is markup marked as safe (via raw() or htmlString``).
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSafeHTML(value) {
+  return value instanceof SafeHTML;
+}
+
+/** Serialize a DOM node back to markup (nested app.html results). */
+function serializeNode(node) {
+  switch (node.nodeType) {
+    case 1: // element
+      return node.outerHTML;
+    case 3: // text
+      return escapeHTML(node.nodeValue);
+    case 8: // comment
+      return `<!--${node.nodeValue}-->`;
+    case 11: // document fragment
+      return [...node.childNodes].map(serializeNode).join('');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Convert one interpolated value to markup.
+ * null/undefined → "", arrays → items rendered and joined,
+ * safe markup and DOM nodes → as-is, everything else → escaped.
+ *
+ * @param {*} value - Interpolated template value.
+ * @returns {string} Markup string.
+ */
+export function renderValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHTML) return value.html;
+  if (typeof value === 'object' && typeof value.nodeType === 'number') {
+    return serializeNode(value);
+  }
+  return escapeHTML(value);
+}
+
+/**
+ * Whether markup ends inside a tag, right after "=" — an unquoted attribute
+ * value comes next.
+ */
+function endsInUnquotedAttribute(markup) {
+  return /=\s*$/.test(markup) && markup.lastIndexOf('<') > markup.lastIndexOf('>');
+}
+
+/**
+ * Tagged template literal that escapes every interpolation and returns
+ * safe markup (not DOM). Use it for component templates built as strings;
+ * the result can be nested into app.html`...` or another htmlString`...`
+ * without being escaped twice.
+ *
+ * @param {TemplateStringsArray} strings - Static template parts.
+ * @param {...*} values - Dynamic values to interpolate (escaped; quoted when
+ *   they stand for an unquoted attribute value).
+ * @returns {SafeHTML} Safe markup — call .toString() for the plain string.
+ *
+ * @example
+ *   const row = htmlString`<li>${todo.text}</li>`; // todo.text is escaped
+ *   htmlString`<input value=${text}>`;              // → <input value="...">
+ */
+export function htmlString(strings, ...values) {
+  return new SafeHTML(
+    strings.reduce((result, str, i) => {
+      result += str;
+      if (i >= values.length) return result;
+      const value = renderValue(values[i]);
+      return endsInUnquotedAttribute(result) ? `${result}"${value}"` : result + value;
+    }, '')
+  );
+}
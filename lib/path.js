@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * lib/path.js — Nested state paths with structural sharing
+ *
+ * setState/getState accept a path instead of a key:
+ *   "user.address.city"            → ["user", "address", "city"]
+ *   ["items", 2, "completed"]      → as given (use this form for keys with dots)
+ *
+ * Writes copy only the objects/arrays along the path; everything else keeps
+ * its identity, so watchers, computeds and keyed lists see exactly what changed.
+ * Missing containers are created: an array when the next segment is an
+ * integer, an object otherwise.
+ *
+ * Usage (in act.js):
+ *   import { toPath, getIn, resolveUpdate, resolveDelete } from './path.js';
+ */
+
+/**
+ * Normalize a key or path into an array of segments.
+ * @param {string|Array<string|number>} path
+ * @returns {Array<string|number>}
+ *
+ * @example
+ *   toPath("user.address.city"); // → ["user", "address", "city"]
+ *   toPath("count");             // → ["count"]
+ */
+export function toPath(path) {
+  if (Array.isArray(path)) return path;
+  return String(path).split('.');
+}
+
+/** Whether a segment addresses an array slot. */
+function isIndex(segment) {
+  return typeof segment === 'number' || /^\d+$/.test(segment);
+}
+
+/** Shallow copy of a container, or a new one fit for the next segment. */
+function copyContainer(value, segment) {
+  if (Array.isArray(value)) return value.slice();
+  if (value && typeof value === 'object') return { ...value };
+  return isIndex(segment) ? [] : {};
+}
+
+/**
+ * Read a nested value.
+ * @param {*} value - Root value.
+ * @param {Array<string|number>} segments - Path below the root.
+ * @returns {*} The value, or undefined if any step is missing.
+ */
+export function getIn(value, segments) {
+  let current = value;
+  for (const segment of segments) {
+    if (current === null || current === undefined) return undefined;
+    current = current[segment];
+  }
+  return current;
+}
+
+/**
+ * Write a nested value, copying only the containers along the path.
+ * Returns the root unchanged if the value is already there.
+ * @param {*} root - Root value.
+ * @param {Array<string|number>} segments - Path below the root (non-empty).
+ * @param {*} value - New value.
+ * @returns {*} New root.
+ *
+ * @example
+ *   const next = setIn(items, [2, "completed"], true);
+ *   next[0] === items[0]; // → true — untouched items are shared
+ */
+export function setIn(root, segments, value) {
+  const [segment, ...rest] = segments;
+  const child = root === null || root === undefined ? undefined : root[segment];
+  const nextChild = rest.length ? setIn(child, rest, value) : value;
+  if (Object.is(child, nextChild) && root !== null && root !== undefined) return root;
+  const copy = copyContainer(root, segment);
+  copy[segment] = nextChild;
+  return copy;
+}
+
+/**
+ * Remove a nested key (array items are spliced out), copying along the path.
+ * @param {*} root - Root value.
+ * @param {Array<string|number>} segments - Path below the root (non-empty).
+ * @returns {*} New root (the same root if nothing was there).
+ */
+export function deleteIn(root, segments) {
+  if (root === null || root === undefined) return root;
+  const [segment, ...rest] = segments;
+  if (rest.length) {
+    const child = root[segment];
+    const nextChild = deleteIn(child, rest);
+    if (Object.is(child, nextChild)) return root;
+    const copy = copyContainer(root, segment);
+    copy[segment] = nextChild;
+    return copy;
+  }
+  if (!(segment in Object(root))) return root;
+  const copy = copyContainer(root, segment);
+  if (Array.isArray(copy)) copy.splice(Number(segment), 1);
+  else delete copy[segment];
+  return copy;
+}
+
+/**
+ * Work out a setState write: which top-level key changes and its new value.
+ * A function value is an updater, called with the current value at the path.
+ * @param {Object} state - The store's state object.
+ * @param {string|Array} path - Key or path.
+ * @param {*|Function} value - New value, or (prev) => next.
+ * @returns {{key: string, value: *}} Top-level key and its next value.
+ *
+ * @example
+ *   resolveUpdate({ n: 1 }, "n", (n) => n + 1);     // → { key: "n", value: 2 }
+ *   resolveUpdate({ u: { a: 1 } }, "u.b", 2);       // → { key: "u", value: { a: 1, b: 2 } }
+ */
+export function resolveUpdate(state, path, value) {
+  const [key, ...rest] = toPath(path);
+  const current = rest.length ? getIn(state[key], rest) : state[key];
+  const next = typeof value === 'function' ? value(current) : value;
+  return { key: String(key), value: rest.length ? setIn(state[key], rest, next) : next };
+}
+
+/**
+ * Work out a deleteState write. A top-level key is deleted outright; a
+ * nested one becomes a write of the top-level key without it.
+ * @param {Object} state - The store's state object.
+ * @param {string|Array} path - Key or path.
+ * @returns {{key: string, nested: boolean, value: *}}
+ */
+export function resolveDelete(state, path) {
+  const [key, ...rest] = toPath(path);
+  if (!rest.length) return { key: String(key), nested: false, value: undefined };
+  return { key: String(key), nested: true, value: deleteIn(state[key], rest) };
+}
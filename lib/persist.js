@@ -0,0 +1,198 @@
+'use strict';
+
+/**
+ * lib/persist.js — Persist state to localStorage / sessionStorage
+ *
+ * scope.persist(options) / app.persist(options) restore the chosen keys from
+ * storage right away (so component defaults are replaced by saved data),
+ * then save them — debounced — whenever they change. Pending writes are
+ * flushed when the scope (or app) is destroyed and when the page is hidden.
+ *
+ * Stored format: {"version": 2, "state": {"items": [...]}}
+ *
+ * Versions: bump `version` when the shape changes and give `migrate`:
+ *   - a function (state, fromVersion) => state, or
+ *   - steps { 2: (state) => state, 3: (state) => state } applied in order.
+ * Data saved by a newer version than the current one is ignored.
+ *
+ * Storage is anything with getItem/setItem/removeItem (Web Storage API) —
+ * createMemoryStorage() gives an in-memory one for tests and the server.
+ *
+ * Usage (in act.js):
+ *   import { createPersistence } from './persist.js';
+ */
+
+import { warn } from './warn.js';
+
+/** Debounce for writes when options.debounce isn't given (ms). */
+const DEFAULT_PERSIST_DEBOUNCE = 100;
+
+/**
+ * An in-memory Storage (same API as localStorage).
+ * @param {Object} [initial] - Initial entries, key → string.
+ * @returns {Object} Storage-like object.
+ *
+ * @example
+ *   const storage = createMemoryStorage();
+ *   scope.persist({ storage, keys: ["items"] });
+ */
+export function createMemoryStorage(initial = {}) {
+  const entries = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (entries.has(key) ? entries.get(key) : null),
+    setItem: (key, value) => void entries.set(key, String(value)),
+    removeItem: (key) => void entries.delete(key),
+    clear: () => entries.clear(),
+    key: (index) => [...entries.keys()][index] ?? null,
+    get length() {
+      return entries.size;
+    },
+  };
+}
+
+/** localStorage if this environment has one (not on the server). */
+function defaultStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch {
+    return null; // access denied (e.g. some privacy modes)
+  }
+}
+
+/** Run the migrations needed to bring stored state up to `version`. */
+function migrateState(state, from, version, migrate) {
+  if (from === version || !migrate) return state;
+  if (typeof migrate === 'function') return migrate(state, from);
+  return Object.keys(migrate)
+    .map(Number)
+    .filter((step) => step > from && step <= version)
+    .sort((a, b) => a - b)
+    .reduce((acc, step) => migrate[step](acc), state);
+}
+
+/**
+ * Persist keys of a state store. Called by scope.persist() / app.persist().
+ *
+ * @param {Object} store - What to persist:
+ *   { id, keys(), getState(key), setState(key, value), onChange(fn(key)) → unsubscribe }.
+ * @param {Object} [options]
+ * @param {Storage} [options.storage=localStorage] - Where to save.
+ * @param {string[]} [options.keys] - Keys to persist (default: every key of the store).
+ * @param {number} [options.version=1] - Schema version of the saved data.
+ * @param {Function|Object} [options.migrate] - Upgrades older saved data (see above).
+ * @param {string} [options.key] - Storage key (default "act:<id>").
+ * @param {string|string[]} [options.legacyKeys] - Older storage keys of the same
+ *   data. Read when nothing is saved under the current key, then moved over.
+ * @param {number} [options.debounce=100] - Delay before writing changes (ms).
+ * @returns {{flush: Function, clear: Function, stop: Function}}
+ */
+export function createPersistence(store, options = {}) {
+  const storage = options.storage ?? defaultStorage();
+  const version = options.version ?? 1;
+  const storageKey = options.key ?? `act:${store.id}`;
+  const wait = options.debounce ?? DEFAULT_PERSIST_DEBOUNCE;
+  const keys = () => options.keys ?? store.keys();
+
+  let timer = null;
+  let stopped = false;
+
+  /** Write the persisted keys now (cancels a pending debounced write). */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (!storage) return;
+    const state = {};
+    for (const key of keys()) {
+      const value = store.getState(key);
+      if (value !== undefined) state[key] = value;
+    }
+    try {
+      storage.setItem(storageKey, JSON.stringify({ version, state }));
+    } catch (err) {
+      warn(`[act.js] Could not persist "${storageKey}": ${err.message}`);
+    }
+  }
+
+  /** The saved entry: under the current key, else under the first legacy key that has one. */
+  function findSaved() {
+    for (const key of [storageKey, ...[].concat(options.legacyKeys ?? [])]) {
+      const raw = storage.getItem(key);
+      if (raw !== null) return { key, raw };
+    }
+    return { key: storageKey, raw: null };
+  }
+
+  /** Restore saved state into the store. */
+  function restore() {
+    const { key: savedKey, raw } = findSaved();
+    let saved;
+    try {
+      saved = JSON.parse(raw);
+    } catch {
+      warn(`[act.js] Ignoring unreadable saved state "${savedKey}".`);
+      return;
+    }
+    if (!saved || typeof saved.state !== 'object' || saved.state === null) return;
+
+    const from = Number(saved.version) || 1;
+    if (from > version) {
+      warn(
+        `[act.js] Saved state "${savedKey}" is version ${from}, newer than ${version} — ignored.`
+      );
+      return;
+    }
+
+    let state;
+    try {
+      state = migrateState(saved.state, from, version, options.migrate);
+    } catch (err) {
+      warn(`[act.js] Migrating "${savedKey}" from version ${from} failed: ${err.message}`);
+      return;
+    }
+    const allowed = options.keys ? new Set(options.keys) : null;
+    for (const [key, value] of Object.entries(state || {})) {
+      if (!allowed || allowed.has(key)) store.setState(key, value);
+    }
+
+    // Found under a legacy key — move it to the current one
+    if (savedKey !== storageKey) {
+      flush();
+      storage.removeItem(savedKey);
+    }
+  }
+
+  if (storage) restore();
+
+  const unsubscribe = store.onChange((key) => {
+    if (stopped || !storage) return;
+    if (options.keys && !options.keys.includes(key)) return;
+    clearTimeout(timer);
+    timer = setTimeout(flush, wait);
+  });
+
+  // Don't lose a pending write when the tab is closed or reloaded
+  const onPageHide = () => {
+    if (timer !== null) flush();
+  };
+  if (typeof window !== 'undefined') window.addEventListener('pagehide', onPageHide);
+
+  return {
+    flush,
+
+    /** Remove the saved data (state in memory is left as is). */
+    clear() {
+      clearTimeout(timer);
+      timer = null;
+      if (storage) storage.removeItem(storageKey);
+    },
+
+    /** Flush pending changes and stop persisting. */
+    stop() {
+      if (stopped) return;
+      if (timer !== null) flush();
+      stopped = true;
+      unsubscribe();
+      if (typeof window !== 'undefined') window.removeEventListener('pagehide', onPageHide);
+    },
+  };
+}
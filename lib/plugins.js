@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * lib/plugins.js — Built-in plugins
+ *
+ * Safe timers and critical CSS are plugins like any other (see app.use() in
+ * act.js): they add methods to the app and clean up in the destroy hook.
+ * createApp() installs both, so app.safeSetInterval() / app.criticalStylesheet()
+ * are always available.
+ *
+ * A plugin is (app, options) => hooks, all optional:
+ *   app             { name: fn }  — methods added to the app
+ *   scope(scope)    → { name: fn } — methods added to every scope
+ *   write(change)   { scope, key, prev, next, origin, deleting } — before a
+ *                   state write; return false to veto it, or set change.next
+ *   handler(ctx, next)  { name, event, args, element } — around data-on
+ *                   handlers; call next() to run the handler (or don't)
+ *   beforeRender(info) / afterRender(info)  { full, scopes }
+ *   mount({ hydrate, container })  — before the first render / hydration
+ *   renderToString(html) → html    — transform server-rendered markup
+ *   destroy()       — app.destroy(), before scopes and state are cleared
+ *
+ * Usage (in act.js):
+ *   import { safeTimersPlugin, criticalCSSPlugin } from './plugins.js';
+ */
+
+/**
+ * Safe timers — setInterval/setTimeout wrappers whose IDs are tracked, so
+ * app.destroy() clears whatever is still running. Errors thrown by a
+ * callback go to app.onError (source "timer").
+ * @param {Object} app - App instance.
+ * @returns {Object} Plugin hooks.
+ */
+export function safeTimersPlugin(app) {
+  /** Tracks active setInterval IDs for cleanup on destroy. */
+  const intervals = new Set();
+
+  /** Tracks active setTimeout IDs for cleanup on destroy. */
+  const timeouts = new Set();
+
+  /** Run a timer callback, reporting what it throws. */
+  function run(fn) {
+    try {
+      fn();
+    } catch (err) {
+      app.reportError(err, { source: 'timer' });
+    }
+  }
+
+  /**
+   * Wrapper around setInterval that tracks the ID for cleanup.
+   * Use this instead of raw setInterval to prevent memory leaks.
+   *
+   * @param {Function} fn - Callback function.
+   * @param {number} ms - Interval in milliseconds.
+   * @returns {number} Interval ID.
+   *
+   * @example
+   *   const id = app.safeSetInterval(() => {
+   *     scope.setState("seconds", scope.getState("seconds") + 1);
+   *   }, 1000);
+   */
+  function safeSetInterval(fn, ms) {
+    const id = setInterval(() => run(fn), ms);
+    intervals.add(id);
+    return id;
+  }
+
+  /**
+   * Clear a tracked interval.
+   * @param {number} id - Interval ID returned by safeSetInterval.
+   */
+  function safeClearInterval(id) {
+    clearInterval(id);
+    intervals.delete(id);
+  }
+
+  /**
+   * Wrapper around setTimeout that tracks the ID for cleanup.
+   * Auto-removes from tracking when the timeout fires.
+   *
+   * @param {Function} fn - Callback function.
+   * @param {number} ms - Delay in milliseconds.
+   * @returns {number} Timeout ID.
+   */
+  function safeSetTimeout(fn, ms) {
+    const id = setTimeout(() => {
+      timeouts.delete(id);
+      run(fn);
+    }, ms);
+    timeouts.add(id);
+    return id;
+  }
+
+  /**
+   * Clear a tracked timeout.
+   * @param {number} id - Timeout ID returned by safeSetTimeout.
+   */
+  function safeClearTimeout(id) {
+    clearTimeout(id);
+    timeouts.delete(id);
+  }
+
+  return {
+    app: { safeSetInterval, safeClearInterval, safeSetTimeout, safeClearTimeout },
+
+    destroy() {
+      for (const id of intervals) clearInterval(id);
+      intervals.clear();
+
+      for (const id of timeouts) clearTimeout(id);
+      timeouts.clear();
+    },
+  };
+}
+
+/**
+ * Get the CSS text of a registered critical stylesheet.
+ * On the server, lib/server.js makes CSS module imports resolve to strings.
+ */
+function sheetText(sheet) {
+  if (typeof sheet === 'string') return sheet.trim();
+  return [...(sheet.cssRules || [])].map((rule) => rule.cssText).join('\n');
+}
+
+/**
+ * Critical CSS — stylesheets applied via document.adoptedStyleSheets right
+ * before the first render, and inlined as a <style data-act-critical> block
+ * by app.renderToString().
+ * @returns {Object} Plugin hooks.
+ */
+export function criticalCSSPlugin() {
+  /** CSS strings registered via criticalCSS() — converted to sheets at mount time. */
+  const cssStrings = [];
+
+  /** CSSStyleSheet objects registered via criticalStylesheet(). */
+  const sheets = [];
+
+  /** Sheets created from cssStrings at mount time — tracked for destroy() cleanup. */
+  let stringSheets = [];
+
+  /**
+   * Register a CSS string as critical. Applied via document.adoptedStyleSheets at mount().
+   * Use this when your CSS lives in a .css.js file or a template literal.
+   * Registering the same CSS again is a no-op.
+   *
+   * @param {string} css - CSS string to apply at mount time.
+   *
+   * @example
+   *   import layoutCSS from "./app.css.js";
+   *   app.criticalCSS(layoutCSS);
+   */
+  function criticalCSS(css) {
+    if (!cssStrings.includes(css.trim())) cssStrings.push(css.trim());
+  }
+
+  /**
+   * Register a CSSStyleSheet as critical. Applied via document.adoptedStyleSheets at mount().
+   * Use this with native CSS Module Script imports (`import sheet from "./x.css" with { type: "css" }`).
+   *
+   * @param {CSSStyleSheet} sheet - CSSStyleSheet object to apply at mount time.
+   *
+   * @example
+   *   import timerSheet from "./timer.css" with { type: "css" };
+   *   app.criticalStylesheet(timerSheet);
+   */
+  function criticalStylesheet(sheet) {
+    // null guard: no-op in built output; components with several instances
+    // register their sheet once per instance — keep one copy
+    if (sheet && !sheets.includes(sheet)) sheets.push(sheet);
+  }
+
+  return {
+    app: { criticalCSS, criticalStylesheet },
+
+    /**
+     * Convert registered CSS strings into CSSStyleSheet objects and adopt them,
+     * together with registered sheets, before the first render.
+     */
+    mount({ hydrate, container }) {
+      stringSheets = cssStrings.map((css) => {
+        const sheet = new CSSStyleSheet();
+        sheet.replaceSync(css);
+        return sheet;
+      });
+
+      // Apply all critical sheets atomically before first render
+      if (stringSheets.length > 0 || sheets.length > 0) {
+        document.adoptedStyleSheets = [...document.adoptedStyleSheets, ...stringSheets, ...sheets];
+      }
+
+      // Server-inlined critical CSS is adopted now — drop the server copy
+      if (hydrate) {
+        for (const el of container.querySelectorAll('style[data-act-critical]')) el.remove();
+      }
+    },
+
+    renderToString(markup) {
+      const css = [...cssStrings, ...sheets.map(sheetText)].filter(Boolean).join('\n\n');
+      return css ? `<style data-act-critical>\n${css}\n</style>${markup}` : markup;
+    },
+
+    destroy() {
+      // Remove only the adopted stylesheets this app registered
+      // (no document on the server — renderToString never adopts any)
+      if (typeof document !== 'undefined') {
+        const registered = [...stringSheets, ...sheets];
+        document.adoptedStyleSheets = document.adoptedStyleSheets.filter(
+          (s) => !registered.includes(s)
+        );
+      }
+      cssStrings.length = 0;
+      sheets.length = 0;
+      stringSheets = [];
+    },
+  };
+}
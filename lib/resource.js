@@ -0,0 +1,204 @@
+'use strict';
+
+/**
+ * lib/resource.js — Async data loading with abort, dedupe and caching
+ *
+ * scope.resource(key, fetcher, { deps }) keeps { data, error, loading } in
+ * the scope's state under `key`, so templates read it like any other state:
+ *   - fetcher(depsValue, { signal, fetch }) returns (a promise of) the data.
+ *     `fetch` is the app's fetch — createApp(el, { fetch }) swaps it, e.g. in
+ *     tests — with the request's AbortSignal already applied.
+ *   - deps() is tracked like a computed: when state it read changes, the
+ *     resource loads again for the new value.
+ *   - Loading a new value aborts the request it replaces (unless another
+ *     resource still waits for it) and drops its result.
+ *   - Requests are cached per resource key + deps value: concurrent loads of
+ *     the same entry share one request, and a finished entry is reused until
+ *     reload(). Failed requests are not cached. Finished entries no resource
+ *     shows any more are kept for going back (the last MAX_IDLE_ENTRIES,
+ *     least recently used dropped first).
+ *   - scope.destroy() aborts whatever is still in flight and drops the
+ *     resource's cached entries.
+ *
+ * Usage (in act.js):
+ *   import { createResourceCache, createResource } from './resource.js';
+ */
+
+/** Finished entries kept per app while no resource shows them. */
+const MAX_IDLE_ENTRIES = 50;
+
+/**
+ * Create the request cache shared by an app's resources.
+ * @param {Function} fetchImpl - fetch(input, init) used by fetchers.
+ * @returns {Object} { acquire, release, drop, clear }
+ */
+export function createResourceCache(fetchImpl) {
+  /** cache key → { promise, controller, users, pending, data } */
+  const entries = new Map();
+
+  /**
+   * Get the entry for a cache key, starting the request if there is none
+   * (or, with `force`, if the cached one has finished). The caller becomes
+   * one of its users until release().
+   */
+  function acquire(cacheKey, fetcher, depsValue, force) {
+    let entry = entries.get(cacheKey);
+    if (entry && (entry.pending || !force)) {
+      entry.users++;
+      // Map order is the LRU order — move it to the back
+      entries.delete(cacheKey);
+      entries.set(cacheKey, entry);
+      return entry;
+    }
+
+    const controller = new AbortController();
+    const fetch = (input, init) => fetchImpl(input, { ...init, signal: controller.signal });
+    entry = { controller, users: 1, pending: true, data: undefined };
+    entry.promise = new Promise((resolve) =>
+      resolve(fetcher(depsValue, { signal: controller.signal, fetch }))
+    );
+    const settled = entry;
+    entry.promise.then(
+      (data) => {
+        settled.pending = false;
+        settled.data = data;
+      },
+      () => {
+        settled.pending = false;
+        if (entries.get(cacheKey) === settled) entries.delete(cacheKey);
+      }
+    );
+    entries.set(cacheKey, entry);
+    return entry;
+  }
+
+  /**
+   * Stop using an entry — a request nobody waits for any more is aborted;
+   * a finished one stays cached until it is among the oldest idle entries.
+   */
+  function release(cacheKey, entry) {
+    entry.users--;
+    if (entry.users > 0) return;
+    if (entry.pending) {
+      entry.controller.abort();
+      if (entries.get(cacheKey) === entry) entries.delete(cacheKey);
+      return;
+    }
+    trim();
+  }
+
+  /** Drop the least recently used idle entries beyond MAX_IDLE_ENTRIES. */
+  function trim() {
+    const idle = [...entries].filter(([, entry]) => entry.users === 0 && !entry.pending);
+    for (const [cacheKey] of idle.slice(0, Math.max(0, idle.length - MAX_IDLE_ENTRIES))) {
+      entries.delete(cacheKey);
+    }
+  }
+
+  /** Forget the idle entries of one resource (cache keys starting "<id>|"). */
+  function drop(id) {
+    for (const [cacheKey, entry] of entries) {
+      if (cacheKey.startsWith(`${id}|`) && entry.users === 0 && !entry.pending) {
+        entries.delete(cacheKey);
+      }
+    }
+  }
+
+  /** Abort every pending request and forget all cached data. */
+  function clear() {
+    for (const entry of entries.values()) {
+      if (entry.pending) entry.controller.abort();
+    }
+    entries.clear();
+  }
+
+  return { acquire, release, drop, clear };
+}
+
+/**
+ * Create one resource. Called by scope.resource() — use that instead.
+ *
+ * @param {Object} cache - From createResourceCache().
+ * @param {Object} target
+ * @param {string} target.id - Cache namespace (default "<scope>:<key>").
+ * @param {Function} target.fetcher - (depsValue, { signal, fetch }) => data | Promise.
+ * @param {Function} target.readDeps - () => depsValue (tracked by the caller).
+ * @param {Function} target.read - () => current { data, error, loading }.
+ * @param {Function} target.write - (state) => void — stores { data, error, loading }.
+ * @returns {Object} { load, reload, abort, dispose }
+ */
+export function createResource(cache, target) {
+  /** The entry this resource shows: { cacheKey, entry }, or null. */
+  let current = null;
+
+  let disposed = false;
+
+  /**
+   * Load the data for the current deps value. Does nothing if that value is
+   * already loaded (or loading), unless `force` is set.
+   * @param {boolean} [force] - Refetch even if cached.
+   * @returns {Promise<void>} Settles once the state has been written.
+   */
+  function load(force = false) {
+    if (disposed) return Promise.resolve();
+    const depsValue = target.readDeps();
+    const cacheKey = `${target.id}|${JSON.stringify(depsValue ?? null)}`;
+    if (current && current.cacheKey === cacheKey && !force) {
+      return current.entry.promise.then(noop, noop);
+    }
+
+    const previous = current;
+    const mine = { cacheKey, entry: cache.acquire(cacheKey, target.fetcher, depsValue, force) };
+    current = mine;
+    if (previous) cache.release(previous.cacheKey, previous.entry);
+
+    if (!mine.entry.pending) {
+      target.write({ data: mine.entry.data, error: null, loading: false });
+      return Promise.resolve();
+    }
+
+    // Keep showing the previous data while the new request runs
+    target.write({ data: target.read()?.data, error: null, loading: true });
+    return mine.entry.promise.then(
+      (data) => {
+        if (current === mine) target.write({ data, error: null, loading: false });
+      },
+      (error) => {
+        if (current === mine) target.write({ data: target.read()?.data, error, loading: false });
+      }
+    );
+  }
+
+  /**
+   * Fetch again for the current deps value, bypassing the cache (a request
+   * that is still running is shared rather than repeated).
+   * @returns {Promise<void>}
+   */
+  function reload() {
+    return load(true);
+  }
+
+  /** Abort the running request (if no other resource shares it) and stop loading. */
+  function abort() {
+    if (!current || !current.entry.pending) return;
+    cache.release(current.cacheKey, current.entry);
+    current = null;
+    target.write({ data: target.read()?.data, error: null, loading: false });
+  }
+
+  /**
+   * Stop for good — the scope was destroyed. Nothing is written after this,
+   * and the resource's cached entries are dropped (unless another resource
+   * sharing its key still shows them).
+   */
+  function dispose() {
+    disposed = true;
+    if (current) cache.release(current.cacheKey, current.entry);
+    current = null;
+    cache.drop(target.id);
+  }
+
+  return { load, reload, abort, dispose };
+}
+
+function noop() {}
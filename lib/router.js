@@ -0,0 +1,343 @@
+'use strict';
+
+/**
+ * lib/router.js — Client-side router built on history.pushState
+ *
+ * Maps URL paths to components (same pattern as everywhere else:
+ * a function that receives `app` and returns a render function).
+ *
+ *   - Route params:   "/todos/:id"      → params.id
+ *   - Wildcards:      "/files/*"        → params["*"] (rest of the path)
+ *   - Query strings:  "/todos?filter=x" → query.filter
+ *   - 404 fallback:   options.notFound (or a route with path "*")
+ *
+ * The current route ({ path, params, query }) lives in global state under
+ * "route", so render functions re-run on navigation like on any setState.
+ *
+ * Scopes, global handlers, watchers, persistence and safe timers set up by a
+ * route's component are owned by that route: they are torn down when
+ * navigating away, and the component is set up fresh when the route is
+ * entered again.
+ *
+ * Lazy routes: give a route a `load` function instead of `component` and its
+ * module is only fetched on first visit (lib/build.js emits it as a separate
+ * chunk). A loading placeholder renders meanwhile, an error placeholder if
+ * the import fails (the next visit retries).
+ *   { path: "/todos", load: () => import("../components/todos/todo.js"), export: "TodoComponent" }
+ *
+ * Usage (in app.js):
+ *   import { createRouter } from "./lib/router.js";
+ *
+ *   const router = createRouter(app, {
+ *     routes: [
+ *       { path: "/", component: HomeComponent },
+ *       { path: "/todos/:id", component: TodoDetailComponent },
+ *     ],
+ *     notFound: NotFoundComponent,
+ *   });
+ *
+ *   app.mount((state) => app.html`
+ *     <nav><a href="/todos/1" data-link>First todo</a></nav>
+ *     ${router.view(state)}
+ *   `);
+ */
+
+import { warn } from './warn.js';
+
+/** Escape a literal path segment for use in a RegExp. */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a route path into a matcher.
+ * @param {string} path - e.g. "/todos/:id" or "/files/*".
+ * @returns {{regex: RegExp, keys: string[]}}
+ */
+function compileRoute(path) {
+  const keys = [];
+  const pattern = path
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') {
+        keys.push('*');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return escapeRegExp(segment);
+    })
+    .join('/');
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+/** Decode a matched path param — null if it isn't valid percent-encoding. */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+/** Parse a query string ("?a=1&b=2") into a plain object. */
+function parseQuery(search) {
+  return Object.fromEntries(new URLSearchParams(search));
+}
+
+/**
+ * Create a router bound to an app.
+ *
+ * Each route has a `path` and either a `component` or a lazy `load`:
+ *   - component : (app) => renderFn
+ *   - load      : () => import("./x.js") — resolves to a module or a component
+ *   - export    : name of the component export in that module (default: "default")
+ *   - loading   : () => markup shown while loading (overrides options.loading)
+ *   - error     : (err) => markup shown if loading failed (overrides options.error)
+ *
+ * @param {Object} app - App instance from createApp().
+ * @param {Object} options
+ * @param {Array<Object>} options.routes - Route table, matched in order.
+ * @param {Function} [options.notFound] - Component rendered when no route matches.
+ * @param {Function} [options.loading] - Default loading placeholder for lazy routes.
+ * @param {Function} [options.error] - Default error placeholder for lazy routes.
+ * @param {string} [options.url] - Initial URL (defaults to window.location — pass one on the server).
+ * @returns {Object} Router with navigate, view, current and destroy.
+ */
+export function createRouter(app, options) {
+  const routes = options.routes.map((route) => ({
+    ...route,
+    ...compileRoute(route.path),
+    status: route.component ? 'ready' : 'idle', // lazy: idle → loading → ready | error
+    loadError: null,
+  }));
+  const notFound = options.notFound
+    ? { path: null, component: options.notFound, status: 'ready' }
+    : null;
+
+  /** The route definition currently shown, and its live component instance. */
+  let active = null;
+  let instance = null;
+
+  /** Listeners attached to window/document — removed by destroy(). */
+  const listeners = [];
+
+  /**
+   * Set up a route's component with an app wrapper that records what it
+   * registers on the app — scopes (and forms), global handlers, watchers,
+   * subscribers, error listeners, persistence and safe timers — so it can be
+   * torn down on leave.
+   */
+  function enter(route) {
+    const owned = { scopes: [], handlers: [], disposers: [] };
+    const own = (dispose) => {
+      owned.disposers.push(dispose);
+      return dispose;
+    };
+    const routeApp = {
+      ...app,
+      createScope(name, options) {
+        const scope = app.createScope(name, options);
+        owned.scopes.push(scope);
+        return scope;
+      },
+      form(name, schema) {
+        const form = app.form(name, schema);
+        owned.scopes.push(form.scope);
+        return form;
+      },
+      on(name, fn) {
+        owned.handlers.push(name);
+        app.on(name, fn);
+      },
+      watch: (key, fn) => own(app.watch(key, fn)),
+      subscribe: (fn) => own(app.subscribe(fn)),
+      onError: (fn) => own(app.onError(fn)),
+      persist(options) {
+        const persistence = app.persist(options);
+        if (persistence) own(() => persistence.stop());
+        return persistence;
+      },
+      safeSetInterval(fn, ms) {
+        const id = app.safeSetInterval(fn, ms);
+        own(() => app.safeClearInterval(id));
+        return id;
+      },
+      safeSetTimeout(fn, ms) {
+        const id = app.safeSetTimeout(fn, ms);
+        own(() => app.safeClearTimeout(id));
+        return id;
+      },
+    };
+    return { render: route.component(routeApp), owned };
+  }
+
+  /**
+   * Import a lazy route's module, then set it up if the route is still active.
+   * Concurrent visits share the pending import; a failed import is retried
+   * on the next visit.
+   */
+  function load(route) {
+    if (route.status === 'loading') return;
+    route.status = 'loading';
+    route.loadError = null;
+
+    Promise.resolve()
+      .then(() => route.load())
+      .then((mod) => {
+        const component =
+          typeof mod === 'function' ? mod : mod[route.export || 'default'];
+        if (typeof component !== 'function') {
+          throw new Error(
+            `Route "${route.path}" module has no export "${route.export || 'default'}"`
+          );
+        }
+        route.component = component;
+        route.status = 'ready';
+        if (active === route && !instance) instance = enter(route);
+      })
+      .catch((err) => {
+        route.status = 'error';
+        route.loadError = err;
+        warn(`[act.js] Failed to load route "${route.path}": ${err.message}`);
+      })
+      .then(() => {
+        // Re-render with the component (or the error placeholder)
+        if (active === route) app.setState('route', { ...app.getState('route') });
+      });
+  }
+
+  /** Destroy everything the current route's component created. */
+  function leave() {
+    if (!instance) return;
+    for (const scope of instance.owned.scopes) scope.destroy();
+    for (const name of instance.owned.handlers) app.off(name);
+    for (const dispose of instance.owned.disposers) dispose();
+    instance = null;
+  }
+
+  /**
+   * Find the route for a path: first match wins, then notFound. A param that
+   * isn't valid percent-encoding ("/todos/%E0%A4%A") doesn't match; a
+   * wildcard keeps it raw, so a "*" catch-all still renders the 404.
+   */
+  function match(pathname) {
+    for (const route of routes) {
+      const m = route.regex.exec(pathname);
+      if (!m) continue;
+      const params = {};
+      const matched = route.keys.every((key, i) => {
+        params[key] = decodeParam(m[i + 1]) ?? (key === '*' ? m[i + 1] : null);
+        return params[key] !== null;
+      });
+      if (matched) return { route, params };
+    }
+    return { route: notFound, params: {} };
+  }
+
+  /** Resolve a URL: swap the active route if it changed and publish it to state. */
+  function resolve(url) {
+    const { pathname, search } = new URL(url, 'http://localhost');
+    const { route, params } = match(pathname);
+
+    if (route !== active) {
+      leave();
+      active = route;
+      if (route && route.status === 'ready') instance = enter(route);
+      else if (route) load(route);
+      else warn(`[act.js] No route matches "${pathname}" and no notFound is set.`);
+    }
+
+    app.setState('route', {
+      path: pathname,
+      pattern: route ? route.path : null,
+      params,
+      query: parseQuery(search),
+    });
+  }
+
+  /**
+   * Navigate to a path — pushes a history entry (or replaces the current one).
+   * @param {string} to - Path, optionally with a query string.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.replace=false] - Replace the current history entry instead of pushing.
+   *
+   * @example
+   *   router.navigate("/todos/3?tab=notes");
+   */
+  function navigate(to, { replace = false } = {}) {
+    if (replace) history.replaceState(null, '', to);
+    else history.pushState(null, '', to);
+    resolve(location.pathname + location.search);
+  }
+
+  /**
+   * Render the current route. Call it from the mount() render function.
+   * @param {Object} globalState - Passed through to the route's render function.
+   * @returns {*} The route component's render output ("" when nothing matches).
+   */
+  function view(globalState) {
+    if (instance) return instance.render(globalState);
+    if (!active) return '';
+
+    if (active.status === 'error') {
+      const error = active.error || options.error;
+      return error ? error(active.loadError) : '';
+    }
+    const loading = active.loading || options.loading;
+    return loading ? loading() : '';
+  }
+
+  /**
+   * Get the current route.
+   * @returns {{path: string, pattern: string|null, params: Object, query: Object}}
+   */
+  function current() {
+    return app.getState('route');
+  }
+
+  /** Remove the router's listeners and tear down the active route. */
+  function destroy() {
+    for (const { target, event, handler } of listeners) {
+      target.removeEventListener(event, handler);
+    }
+    listeners.length = 0;
+    leave();
+    active = null;
+  }
+
+  function listen(target, event, handler) {
+    target.addEventListener(event, handler);
+    listeners.push({ target, event, handler });
+  }
+
+  if (typeof window !== 'undefined') {
+    // Back / forward buttons
+    listen(window, 'popstate', () => {
+      resolve(location.pathname + location.search);
+    });
+
+    // <a href="/path" data-link> — handled in-app instead of reloading the page
+    listen(document, 'click', (e) => {
+      const link = e.target.closest && e.target.closest('a[data-link]');
+      if (!link) return;
+      if (e.defaultPrevented || e.button !== 0) return;
+      if (e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      if (link.target && link.target !== '_self') return;
+      if (link.origin !== location.origin) return;
+      e.preventDefault();
+      navigate(link.pathname + link.search);
+    });
+  }
+
+  resolve(options.url ?? location.pathname + location.search);
+
+  return {
+    navigate,
+    view,
+    current,
+    destroy,
+  };
+}
@@ -0,0 +1,29 @@
+'use strict';
+
+/**
+ * lib/server-hooks.js — Node module customization hooks (registered by lib/server.js)
+ *
+ * Resolves `import x from "./file.css" with { type: "css" }` to a module whose
+ * default export is the stylesheet's text. Everything else is left to Node.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+export async function resolve(specifier, context, nextResolve) {
+  if (context.importAttributes?.type !== 'css') return nextResolve(specifier, context);
+
+  // Node has no "css" import type — drop the attribute and load it ourselves
+  const resolved = await nextResolve(specifier, { ...context, importAttributes: {} });
+  return { ...resolved, importAttributes: {}, shortCircuit: true };
+}
+
+export async function load(url, context, nextLoad) {
+  if (!url.endsWith('.css')) return nextLoad(url, context);
+
+  const css = await readFile(new URL(url), 'utf8');
+  return {
+    format: 'module',
+    source: `export default ${JSON.stringify(css)};`,
+    shortCircuit: true,
+  };
+}
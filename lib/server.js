@@ -0,0 +1,31 @@
+'use strict';
+
+/**
+ * lib/server.js — Node entry point for server-side rendering
+ *
+ * Act components import their CSS as CSS module scripts
+ * (`import sheet from "./timer.css" with { type: "css" }`), which Node cannot
+ * load on its own. Loading this file registers lib/server-hooks.js, which
+ * turns those imports into plain CSS strings — app.criticalStylesheet() then
+ * receives the text and app.renderToString() inlines it as critical CSS.
+ *
+ * Load it before any component module, e.g. via --import:
+ *   node --import ./lib/server.js render.js
+ *
+ * (The sources are ES modules without "type": "module" in package.json —
+ * Node 22+ detects that automatically; on Node 20 add --experimental-detect-module.)
+ *
+ * render.js:
+ *   import { createApp } from "./lib/server.js";
+ *   import { TimerComponent } from "./components/timer.js";
+ *
+ *   const app = createApp();
+ *   const renderTimer = TimerComponent(app);
+ *   process.stdout.write(app.renderToString(() => app.html`${renderTimer()}`));
+ */
+
+import { register } from 'node:module';
+
+register('./server-hooks.js', import.meta.url);
+
+export { createApp } from './act.js';
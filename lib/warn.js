@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * lib/warn.js — Act's own warnings
+ *
+ * Every "[act.js] ..." warning goes through warn(): it is logged with
+ * console.warn and passed to the onWarn() listeners, so tools like the
+ * DevTools panel can collect Act's warnings without patching console.warn.
+ *
+ * Usage (in act.js, events.js, persist.js, router.js):
+ *   import { warn } from './warn.js';
+ */
+
+/** Listeners registered via onWarn(). */
+const warnListeners = new Set();
+
+/**
+ * Log a warning and pass it to the onWarn() listeners.
+ * @param {string} message - Starts with "[act.js]".
+ *
+ * @example
+ *   warn(`[act.js] Scope "${name}" not found.`);
+ */
+export function warn(message) {
+  console.warn(message);
+  for (const fn of warnListeners) {
+    try {
+      fn(message);
+    } catch (err) {
+      console.error('[act.js] onWarn listener threw:', err);
+    }
+  }
+}
+
+/**
+ * Listen to Act's warnings (from every app on the page).
+ * @param {Function} fn - (message) => void.
+ * @returns {Function} Unsubscribe function.
+ *
+ * @example
+ *   const stop = onWarn((message) => log.push(message));
+ */
+export function onWarn(fn) {
+  warnListeners.add(fn);
+  return () => warnListeners.delete(fn);
+}
@@ -0,0 +1,86 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, fromHTML } from './dom.js';
+import { reconcileChildren } from '../lib/diff.js';
+
+setupDOM();
+
+const rows = (keys) => keys.map((k) => `<li data-key="${k}">${k}</li>`).join('');
+
+/** A live list plus counters for the DOM moves reconciling it makes. */
+function liveList(keys) {
+  const list = fromHTML(rows(keys));
+  const calls = { insertBefore: 0, removeChild: 0 };
+  for (const method of Object.keys(calls)) {
+    const original = list[method].bind(list);
+    list[method] = (...args) => {
+      calls[method]++;
+      return original(...args);
+    };
+  }
+  return { list, calls, nodes: () => [...list.children] };
+}
+
+const texts = (list) => [...list.children].map((li) => li.textContent);
+
+test('deleting the first keyed row removes just that row', () => {
+  const { list, calls, nodes } = liveList(['a', 'b', 'c', 'd']);
+  const [, b, c, d] = nodes();
+  reconcileChildren(list, fromHTML(rows(['b', 'c', 'd'])));
+  assert.deepEqual(texts(list), ['b', 'c', 'd']);
+  assert.deepEqual(nodes(), [b, c, d]);
+  assert.equal(calls.insertBefore, 0);
+  assert.equal(calls.removeChild, 1);
+});
+
+test('moving one keyed row moves only that row', () => {
+  const { list, calls, nodes } = liveList(['a', 'b', 'c', 'd', 'e']);
+  const [a, b, c, d, e] = nodes();
+  reconcileChildren(list, fromHTML(rows(['b', 'c', 'd', 'e', 'a'])));
+  assert.deepEqual(nodes(), [b, c, d, e, a]);
+  assert.equal(calls.insertBefore, 1);
+});
+
+test('reversing keyed rows keeps every element', () => {
+  const { list, nodes } = liveList(['a', 'b', 'c']);
+  const before = nodes();
+  reconcileChildren(list, fromHTML(rows(['c', 'b', 'a'])));
+  assert.deepEqual(nodes(), before.reverse());
+});
+
+test('new keyed rows are inserted and changed content is patched in place', () => {
+  const { list, nodes } = liveList(['a', 'b']);
+  const [a] = nodes();
+  reconcileChildren(
+    list,
+    fromHTML('<li data-key="a">A!</li><li data-key="x">x</li><li data-key="b" class="done">b</li>')
+  );
+  assert.deepEqual(texts(list), ['A!', 'x', 'b']);
+  assert.equal(nodes()[0], a);
+  assert.equal(nodes()[2].className, 'done');
+});
+
+test('duplicate keys still produce the new children', () => {
+  const { list } = liveList(['a', 'a', 'b']);
+  reconcileChildren(list, fromHTML(rows(['b', 'a'])));
+  assert.deepEqual(texts(list), ['b', 'a']);
+});
+
+test('unkeyed children are matched by position', () => {
+  const list = fromHTML('<p>one</p><p>two</p>', 'div');
+  const [first] = list.children;
+  reconcileChildren(list, fromHTML('<p>uno</p><p>two</p><p>three</p>', 'div'));
+  assert.equal(list.children[0], first);
+  assert.deepEqual(texts(list), ['uno', 'two', 'three']);
+});
+
+test("an input's value is left alone when it already matches", () => {
+  const form = fromHTML('<input value="a">', 'div');
+  const input = form.firstChild;
+  input.value = 'typed';
+  reconcileChildren(form, fromHTML('<input value="typed">', 'div'));
+  assert.equal(form.firstChild, input);
+  assert.equal(input.value, 'typed');
+});
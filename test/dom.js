@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * test/dom.js — jsdom as the global DOM for a test file
+ *
+ * node --test runs every file in its own process, so each file calls
+ * setupDOM() once at the top and the library sees a browser-like global
+ * scope (document, Node, location, history, localStorage, ...).
+ *
+ * Usage:
+ *   import { setupDOM, tick } from './dom.js';
+ *   setupDOM('<div id="root"></div>', 'http://localhost/todos');
+ */
+
+import { JSDOM } from 'jsdom';
+
+const GLOBALS = [
+  'window', 'document', 'Node', 'HTMLElement', 'CSSStyleSheet', 'Event', 'KeyboardEvent',
+  'FocusEvent', 'location', 'history', 'localStorage', 'sessionStorage',
+];
+
+/**
+ * Create a jsdom window and expose its DOM globals.
+ * @param {string} [html] - Body markup.
+ * @param {string} [url] - Page URL (location / history).
+ * @returns {Window} The jsdom window.
+ */
+export function setupDOM(html = '<div id="root"></div>', url = 'http://localhost/') {
+  const { window } = new JSDOM(html, { url });
+  for (const key of GLOBALS) globalThis[key] = window[key];
+  document.adoptedStyleSheets = [];
+  return window;
+}
+
+/** Wait for queued re-renders (microtasks) and timers of 0 ms to run. */
+export function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+/** Parse markup into a fresh element, e.g. the desired children of a list. */
+export function fromHTML(html, tag = 'ul') {
+  const el = document.createElement(tag);
+  el.innerHTML = html;
+  return el;
+}
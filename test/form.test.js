@@ -0,0 +1,111 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, tick } from './dom.js';
+import { createApp } from '../lib/act.js';
+import { validators, normalizeErrors } from '../lib/form.js';
+
+setupDOM();
+
+test('a field is validated once touched, then on every change', async () => {
+  const app = createApp();
+  const form = app.form('contact', {
+    fields: {
+      name: { initial: '', validate: [validators.required('Name?'), validators.maxLength(3)] },
+    },
+  });
+  assert.equal(form.error('name'), '');
+
+  form.touch('name');
+  await tick();
+  assert.equal(form.error('name'), 'Name?');
+
+  form.setValue('name', 'Asha');
+  await tick();
+  assert.equal(form.error('name'), 'Enter at most 3 characters.');
+
+  form.setValue('name', 'Ann');
+  await tick();
+  assert.equal(form.invalid('name'), false);
+  app.destroy();
+});
+
+test('a stale async result is dropped', async () => {
+  const app = createApp();
+  const pending = [];
+  const form = app.form('signup', {
+    fields: {
+      email: {
+        initial: '',
+        validate: (value) =>
+          new Promise((resolve) => {
+            pending.push(() => resolve(value === 'taken' ? 'Taken.' : null));
+          }),
+      },
+    },
+  });
+  form.setValue('email', 'taken');
+  const first = form.validateField('email');
+  form.setValue('email', 'free');
+  const second = form.validateField('email');
+  assert.equal(form.pending('email'), true);
+
+  pending[1]();
+  await second;
+  pending[0]();
+  await first;
+  assert.equal(form.error('email'), '');
+  assert.equal(form.pending('email'), false);
+  app.destroy();
+});
+
+test('a validator that throws is reported, not left as an unhandled rejection', async () => {
+  const app = createApp();
+  const reported = [];
+  app.onError((err, context) => reported.push(context));
+  let unhandled = 0;
+  const onUnhandled = () => unhandled++;
+  process.on('unhandledRejection', onUnhandled);
+
+  const form = app.form('price', {
+    fields: { amount: { initial: null, validate: (value) => value.toFixed(0) } },
+  });
+  form.touch('amount');
+  form.setValue('amount', undefined);
+  await tick();
+
+  process.off('unhandledRejection', onUnhandled);
+  assert.equal(unhandled, 0);
+  assert.deepEqual(reported[0], { source: 'validator', scope: 'price', field: 'amount' });
+  assert.equal(form.error('amount'), 'Validation failed.');
+  app.destroy();
+});
+
+test('submit touches everything and maps server errors onto fields', async () => {
+  const app = createApp();
+  const form = app.form('phone', {
+    fields: {
+      name: { initial: '', validate: validators.required() },
+      phone: { initial: '' },
+    },
+    submit() {
+      throw { errors: { phone: [{ message: 'Bad number.' }], __all__: ['Duplicate contact.'] } };
+    },
+  });
+  assert.equal(await form.submit(), false);
+  assert.equal(form.touched('phone'), true);
+  assert.equal(form.error('name'), 'This field is required.');
+
+  form.setValue('name', 'Ann');
+  assert.equal(await form.submit(), false);
+  assert.equal(form.error('phone'), 'Bad number.');
+  assert.equal(form.error('__all__'), 'Duplicate contact.');
+  assert.equal(form.submitting(), false);
+  app.destroy();
+});
+
+test('normalizeErrors accepts the shapes Django produces', () => {
+  const payload = { errors: { a: 'x', b: ['y'], c: [{ message: 'z' }], d: [] } };
+  assert.deepEqual(normalizeErrors(payload), { a: 'x', b: 'y', c: 'z' });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, tick } from './dom.js';
+import { createApp } from '../lib/act.js';
+
+setupDOM();
+
+test('writes made in one tick are undone and redone together', async () => {
+  const app = createApp();
+  const scope = app.createScope('timer');
+  const history = scope.history();
+  scope.patchState({ running: true, seconds: 1 });
+  await tick();
+  scope.setState('seconds', 2);
+  await tick();
+
+  history.undo();
+  assert.deepEqual(scope.getState('seconds'), 1);
+  history.undo();
+  assert.equal(scope.getState('running'), undefined);
+  assert.equal(history.canUndo(), false);
+
+  history.redo();
+  assert.deepEqual([scope.getState('running'), scope.getState('seconds')], [true, 1]);
+  app.destroy();
+});
+
+test('a new change after an undo drops the redo stack', async () => {
+  const app = createApp();
+  const scope = app.createScope('todo');
+  const history = scope.history();
+  scope.setState('items', ['a']);
+  await tick();
+  history.undo();
+  assert.equal(history.canRedo(), true);
+  scope.setState('items', ['b']);
+  assert.equal(history.canRedo(), false);
+  app.destroy();
+});
+
+test('group() keeps writes on both sides of an await in one entry', async () => {
+  const app = createApp();
+  const scope = app.createScope('todo');
+  const history = scope.history();
+  await history.group(async () => {
+    scope.setState('saving', true);
+    await tick();
+    scope.setState('items', ['saved']);
+  });
+  history.undo();
+  assert.equal(scope.getState('saving'), undefined);
+  assert.equal(scope.getState('items'), undefined);
+  app.destroy();
+});
+
+test('undoing a key created after mount removes it from the page', async () => {
+  const app = createApp(document.getElementById('root'));
+  const scope = app.createScope('note');
+  const history = scope.history({ keys: ['text'] });
+  const view = scope.boundary(
+    () => app.htmlString`<p data-scope="note">${scope.getState('text') ?? 'empty'}</p>`
+  );
+  app.mount(() => app.html`${view()}`);
+  const text = () => document.getElementById('root').textContent;
+
+  scope.setState('text', 'hello');
+  await tick();
+  assert.equal(text(), 'hello');
+
+  history.undo();
+  await tick();
+  assert.equal(text(), 'empty');
+  app.destroy();
+});
+
+test('deleting a top-level key re-renders', async () => {
+  const app = createApp(document.getElementById('root'));
+  const scope = app.createScope('note');
+  scope.setState('text', 'scoped');
+  app.setState('title', 'global');
+  const view = scope.boundary(
+    () => app.htmlString`<p data-scope="note">${scope.getState('text') ?? '-'}</p>`
+  );
+  app.mount((state) => app.html`<h1>${state.title ?? '-'}</h1>${view()}`);
+  const text = () => document.getElementById('root').textContent;
+  assert.equal(text(), 'globalscoped');
+
+  scope.deleteState('text');
+  await tick();
+  assert.equal(text(), 'global-');
+
+  app.deleteState('title');
+  await tick();
+  assert.equal(text(), '--');
+  app.destroy();
+});
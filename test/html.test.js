@@ -0,0 +1,48 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeHTML, htmlString, raw } from '../lib/html.js';
+import { handlerRef, parseDataOn, decodeHandlerArgs } from '../lib/events.js';
+
+const attack = 'a onfocus=alert(1) autofocus';
+
+test('text is escaped', () => {
+  assert.equal(
+    String(htmlString`<p>${'<img src=x onerror=alert(1)>'}</p>`),
+    '<p>&lt;img src=x onerror=alert(1)&gt;</p>'
+  );
+});
+
+test('quotes are escaped inside quoted attributes', () => {
+  assert.equal(escapeHTML(`"'`), '&quot;&#39;');
+  assert.equal(
+    String(htmlString`<input value="${'" autofocus x="'}">`),
+    '<input value="&quot; autofocus x=&quot;">'
+  );
+});
+
+test('an unquoted attribute value is quoted', () => {
+  assert.equal(String(htmlString`<input value=${attack}>`), `<input value="${attack}">`);
+  assert.equal(String(htmlString`<a href= ${'/u?a=1&b'}>x</a>`), '<a href= "/u?a=1&amp;b">x</a>');
+});
+
+test('"=" in text content is not treated as an attribute', () => {
+  assert.equal(String(htmlString`<p>Total = ${5}</p>`), '<p>Total = 5</p>');
+});
+
+test('nested templates, raw markup and arrays are not escaped again', () => {
+  const items = ['a', '<b>'].map((item) => htmlString`<li>${item}</li>`);
+  assert.equal(
+    String(htmlString`<ul>${items}</ul>${raw('<hr>')}${null}`),
+    '<ul><li>a</li><li>&lt;b&gt;</li></ul><hr>'
+  );
+});
+
+test('handler refs carry no quotes, so they fit either attribute quote style', () => {
+  const ref = handlerRef('todoList:rename', ["Bob's \"list\""]);
+  assert.doesNotMatch(ref, /['"]/);
+  const [binding] = parseDataOn(`{"click":"${ref}"}`);
+  assert.equal(binding.handler, 'todoList:rename');
+  assert.deepEqual(decodeHandlerArgs(binding.args), ["Bob's \"list\""]);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM } from './dom.js';
+import { createApp } from '../lib/act.js';
+import { createMemoryStorage } from '../lib/persist.js';
+
+setupDOM();
+
+const saved = (version, state) => JSON.stringify({ version, state });
+
+/** A todo scope with its defaults, persisting items to `storage`. */
+function todoScope(app, storage, options = {}) {
+  const scope = app.createScope('todo');
+  scope.setState('items', []);
+  const persistence = scope.persist({ storage, keys: ['items'], ...options });
+  return { scope, persistence };
+}
+
+test('saved state replaces the defaults and changes are written back', () => {
+  const app = createApp();
+  const storage = createMemoryStorage({ 'act:scope:todo': saved(1, { items: ['milk'] }) });
+  const { scope, persistence } = todoScope(app, storage);
+  assert.deepEqual(scope.getState('items'), ['milk']);
+
+  scope.setState('items', ['milk', 'eggs']);
+  persistence.flush();
+  assert.deepEqual(JSON.parse(storage.getItem('act:scope:todo')), {
+    version: 1,
+    state: { items: ['milk', 'eggs'] },
+  });
+  app.destroy();
+});
+
+test('migration steps run in order from the saved version', () => {
+  const app = createApp();
+  const storage = createMemoryStorage({ 'act:scope:todo': saved(1, { todos: ['milk'] }) });
+  const { scope, persistence } = todoScope(app, storage, {
+    version: 3,
+    migrate: {
+      3: (state) => ({ items: state.items.map((text) => ({ text })) }),
+      2: (state) => ({ items: state.todos }),
+    },
+  });
+  assert.deepEqual(scope.getState('items'), [{ text: 'milk' }]);
+  persistence.flush();
+  assert.equal(JSON.parse(storage.getItem('act:scope:todo')).version, 3);
+  app.destroy();
+});
+
+test('a migrate function gets the saved version', () => {
+  const app = createApp();
+  const storage = createMemoryStorage({ 'act:scope:todo': saved(2, { items: ['a'] }) });
+  const calls = [];
+  const { scope } = todoScope(app, storage, {
+    version: 4,
+    migrate: (state, from) => {
+      calls.push(from);
+      return { items: [...state.items, 'b'] };
+    },
+  });
+  assert.deepEqual(calls, [2]);
+  assert.deepEqual(scope.getState('items'), ['a', 'b']);
+  app.destroy();
+});
+
+test('data from a newer version, or that fails to migrate, is ignored', () => {
+  for (const [version, migrate] of [
+    [3, undefined],
+    [1, { 2: () => { throw new Error('nope'); } }],
+  ]) {
+    const app = createApp();
+    const storage = createMemoryStorage({ 'act:scope:todo': saved(version, { items: ['x'] }) });
+    const { scope } = todoScope(app, storage, { version: 2, migrate });
+    assert.deepEqual(scope.getState('items'), []);
+    app.destroy();
+  }
+});
+
+test('data under a legacy key is restored and moved to the current key', () => {
+  const app = createApp();
+  const storage = createMemoryStorage({ 'old:todos': saved(1, { items: ['milk'] }) });
+  const { scope } = todoScope(app, storage, { legacyKeys: 'old:todos' });
+  assert.deepEqual(scope.getState('items'), ['milk']);
+  assert.equal(storage.getItem('old:todos'), null);
+  assert.deepEqual(JSON.parse(storage.getItem('act:scope:todo')).state, { items: ['milk'] });
+  app.destroy();
+});
@@ -0,0 +1,104 @@
+'use strict';
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, tick } from './dom.js';
+import { createApp } from '../lib/act.js';
+import { createRouter } from '../lib/router.js';
+
+setupDOM();
+
+const page = (text) => (app) => () => app.htmlString`<p>${text}</p>`;
+
+let app;
+let router;
+
+/** A mounted app with a router over `routes`, starting at `url`. */
+function start(routes, url, options = {}) {
+  history.replaceState(null, '', url);
+  app = createApp(document.getElementById('root'));
+  router = createRouter(app, { routes, ...options });
+  app.mount((state) => app.html`${router.view(state)}`);
+}
+
+afterEach(() => {
+  router.destroy();
+  app.destroy();
+});
+
+const text = () => document.getElementById('root').textContent;
+
+test('params are decoded and the query is parsed', () => {
+  start([{ path: '/todos/:id', component: page('todo') }], '/todos/a%20b?tab=notes');
+  assert.deepEqual(router.current(), {
+    path: '/todos/a%20b',
+    pattern: '/todos/:id',
+    params: { id: 'a b' },
+    query: { tab: 'notes' },
+  });
+  assert.equal(text(), 'todo');
+});
+
+test('the first matching route wins; a wildcard takes the rest of the path', () => {
+  start(
+    [
+      { path: '/files/new', component: page('new') },
+      { path: '/files/*', component: page('file') },
+    ],
+    '/files/new'
+  );
+  assert.equal(text(), 'new');
+  router.navigate('/files/a/b.txt');
+  assert.deepEqual(router.current().params, { '*': 'a/b.txt' });
+});
+
+test('a malformed param falls through to the 404 route', async () => {
+  start(
+    [
+      { path: '/todos/:id', component: page('todo') },
+      { path: '*', component: page('404') },
+    ],
+    '/todos/%E0%A4%A'
+  );
+  await tick();
+  assert.equal(text(), '404');
+  assert.deepEqual(router.current().params, { '*': '/todos/%E0%A4%A' });
+});
+
+test('options.notFound renders when nothing matches', async () => {
+  start([{ path: '/', component: page('home') }], '/missing', { notFound: page('not found') });
+  await tick();
+  assert.equal(text(), 'not found');
+  assert.equal(router.current().pattern, null);
+});
+
+test('leaving a route tears down what its component registered on the app', async () => {
+  let watched = 0;
+  let ticks = 0;
+  const Counter = (routeApp) => {
+    routeApp.createScope('counter');
+    routeApp.watch('x', () => watched++);
+    routeApp.safeSetInterval(() => ticks++, 1);
+    return () => routeApp.htmlString`<p>counter</p>`;
+  };
+  start(
+    [
+      { path: '/a', component: Counter },
+      { path: '/b', component: page('b') },
+    ],
+    '/a'
+  );
+  // Re-entering must not stack a second watcher
+  router.navigate('/b');
+  router.navigate('/a');
+  app.setState('x', 1);
+  assert.equal(watched, 1);
+
+  router.navigate('/b');
+  assert.equal(app.getScope('counter'), null);
+  app.setState('x', 2);
+  const stoppedAt = ticks;
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(watched, 1);
+  assert.equal(ticks, stoppedAt);
+});